@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Development Server for Big Tech News
+ * Serves public/, rebuilds the site incrementally when templates, build code,
+ * config, data or the scraper change, and reloads open pages once the build
+ * finishes. Each build runs in a fresh process so config and code edits are
+ * picked up without restarting the server.
+ *
+ * Usage: node build/dev-server.js [--port 3000] [--rescore [YYYY-MM-DD]]
+ *
+ * Options:
+ *   --port     Port to listen on (default 3000, or PORT)
+ *   --rescore  Also rescore the newest daily digest (or the given day) from the
+ *              article store whenever config/, scraper/ or the store changes,
+ *              and serve it at /preview/rescored.html
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+const WATCHED = ['build', 'config', 'data', 'scraper'];
+
+// Changes under these alter scoring or the stored articles, so they trigger a rescore as well as a build
+const RESCORE_PREFIXES = ['config/', 'scraper/', 'data/articles/'];
+
+// Editor swap files and caches the scraper rewrites on every run
+const IGNORED = [/~$/, /\.swp$/, /(^|\/)\.#/, /^data\/(feed|enrich)-cache\.json$/, /^data\/(health|announced)\.json$/];
+
+const DEBOUNCE_MS = 200;
+const RELOAD_PATH = '/__reload';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.atom': 'application/atom+xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.eml': 'message/rfc822'
+};
+
+const RELOAD_SCRIPT = `<script>
+  new EventSource('${RELOAD_PATH}').addEventListener('reload', () => location.reload());
+</script>`;
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = { port: Number(process.env.PORT) || 3000, rescore: false, rescoreDay: null };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--port' && args[i + 1]) options.port = parseInt(args[++i], 10) || options.port;
+    else if (arg === '--rescore') {
+      options.rescore = true;
+      if (/^\d{4}-\d{2}-\d{2}$/.test(args[i + 1] || '')) options.rescoreDay = args[++i];
+    }
+  }
+  return options;
+}
+
+/**
+ * Run a node script from the repo root, resolving with whether it succeeded
+ */
+function runScript(script, args = []) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [path.join(ROOT_DIR, script), ...args], { cwd: ROOT_DIR, stdio: 'inherit' });
+    child.on('error', error => {
+      console.error(`✗ ${script}: ${error.message}`);
+      resolve(false);
+    });
+    child.on('exit', code => resolve(code === 0));
+  });
+}
+
+/**
+ * Serve files from public/, adding the reload script to HTML pages
+ */
+function createServer(clients) {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === RELOAD_PATH) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.write(': connected\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch {
+      // Malformed escapes such as /%E0
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Bad request');
+      return;
+    }
+
+    let file = path.join(PUBLIC_DIR, pathname);
+    // A prefix check would let /..%2fpublic-old/ through to a sibling directory
+    if (file !== PUBLIC_DIR && !file.startsWith(PUBLIC_DIR + path.sep)) {
+      res.writeHead(403).end('Forbidden');
+      return;
+    }
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+
+    fs.readFile(file, (error, content) => {
+      if (error) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end(`Not found: ${url.pathname}`);
+        return;
+      }
+      const type = MIME_TYPES[path.extname(file)] || 'application/octet-stream';
+      if (type.startsWith('text/html')) {
+        const html = content.toString('utf-8');
+        content = html.includes('</body>') ? html.replace('</body>', `${RELOAD_SCRIPT}\n</body>`) : html + RELOAD_SCRIPT;
+      }
+      res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' }).end(content);
+    });
+  });
+}
+
+/**
+ * Queue of rebuilds: changes arriving while a build runs are collected and
+ * handled by one follow-up build
+ */
+function createRebuilder(options, onBuilt) {
+  let pending = new Set();
+  let timer = null;
+  let running = false;
+
+  async function run() {
+    if (running) return;
+    running = true;
+    while (pending.size > 0) {
+      const changed = [...pending];
+      pending = new Set();
+      console.log(`\n↻ ${changed.length === 1 ? changed[0] : `${changed.length} files changed`}`);
+
+      let ok = await runScript('build/generate.js');
+      const rescore = options.rescore && changed.some(file => RESCORE_PREFIXES.some(prefix => file.startsWith(prefix)));
+      if (ok && rescore) {
+        ok = await runScript('build/rescore.js', options.rescoreDay ? ['--day', options.rescoreDay] : []);
+      }
+      if (ok) onBuilt();
+      else console.error('✗ Build failed; fix the error and save again');
+    }
+    running = false;
+  }
+
+  return file => {
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(run, DEBOUNCE_MS);
+  };
+}
+
+/**
+ * Watch the source directories, reporting changed files relative to the repo root
+ */
+function watchSources(onChange) {
+  for (const dir of WATCHED) {
+    fs.watch(path.join(ROOT_DIR, dir), { recursive: true }, (event, filename) => {
+      if (!filename) return;
+      const file = `${dir}/${filename.split(path.sep).join('/')}`;
+      if (IGNORED.some(pattern => pattern.test(file))) return;
+      onChange(file);
+    });
+  }
+}
+
+async function main() {
+  const options = parseArgs();
+  const clients = new Set();
+
+  console.log('Initial build...');
+  await runScript('build/generate.js');
+  if (options.rescore) await runScript('build/rescore.js', options.rescoreDay ? ['--day', options.rescoreDay] : []);
+
+  const reload = () => {
+    for (const client of clients) client.write('event: reload\ndata: \n\n');
+    console.log(`⟳ Reloaded ${clients.size} page${clients.size !== 1 ? 's' : ''}`);
+  };
+  watchSources(createRebuilder(options, reload));
+
+  createServer(clients).listen(options.port, () => {
+    console.log(`\n🔧 Serving public/ at http://localhost:${options.port}/`);
+    if (options.rescore) console.log(`   Rescored preview at http://localhost:${options.port}/preview/rescored.html`);
+    console.log(`   Watching ${WATCHED.join('/, ')}/ for changes`);
+  });
+}
+
+main().catch(e => { console.error(e); process.exit(1); });
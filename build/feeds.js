@@ -0,0 +1,228 @@
+/**
+ * Feed Generator for Big Tech News
+ * Publishes the curated digests as RSS 2.0, Atom and JSON Feed 1.1
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { CATEGORIES } = require('../scraper/sources');
+const { SITE_URL, SITE_TITLE } = require('../scraper/site');
+
+// How much history each feed carries
+const DAILY_FEED_DIGESTS = 7;
+const DIGEST_FEED_ITEMS = 12;
+const CATEGORY_FEED_DIGESTS = 14;
+const MAX_FEED_ITEMS = 50;
+
+function xml(text) {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;')
+    // Strip control characters that are invalid in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function plain(text) {
+  return (text || '').replace(/<[^>]*>/g, '').trim();
+}
+
+function isoDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+/**
+ * Feed item for a single highlighted article
+ */
+function articleItem(article) {
+  const sources = (article.sources || []).filter(s => s.link !== article.link);
+  const coverage = sources.length > 0
+    ? `<p>Also covered by ${sources.map(s => `<a href="${xml(s.link)}">${xml(s.source)}</a>`).join(', ')}</p>`
+    : '';
+  const category = CATEGORIES[article.category];
+
+  return {
+    id: article.link,
+    url: article.link,
+    title: article.title,
+    summary: plain(article.summary || article.description),
+    contentHTML: `<p>${xml(plain(article.summary || article.description))}</p><p>Source: ${xml(article.source)}${article.relevanceScore ? ` · Score ${article.relevanceScore}` : ''}</p>${coverage}`,
+    published: isoDate(article.published),
+    author: article.author ? `${article.author} (${article.source})` : article.source,
+    image: article.image || null,
+    tags: [category?.name, ...(article.matchedKeywords || [])].filter(Boolean)
+  };
+}
+
+/**
+ * Feed item for a whole weekly or monthly digest
+ */
+function digestItem(digest, type, site) {
+  const url = `${site.url}/${type}/${digest.id}.html`;
+  const highlights = (digest.highlights || []).map(a =>
+    `<li><a href="${xml(a.link)}">${xml(a.title)}</a> — ${xml(a.source)}</li>`
+  ).join('');
+
+  return {
+    id: url,
+    url,
+    title: `${digest.title} (${digest.dateRange})`,
+    summary: `${digest.highlights?.length || 0} highlights from ${digest.totalArticles || 0} stories`,
+    contentHTML: `<ol>${highlights}</ol>`,
+    published: isoDate(digest.generatedAt),
+    author: site.title,
+    image: null,
+    tags: []
+  };
+}
+
+/**
+ * Deduplicate items by id, keeping the first occurrence, and cap the feed length
+ */
+function uniqueItems(items) {
+  const seen = new Set();
+  return items.filter(item => !seen.has(item.id) && seen.add(item.id)).slice(0, MAX_FEED_ITEMS);
+}
+
+/**
+ * Build the feed models for daily, weekly, monthly and each category.
+ * `digests` holds loaded digests per type, newest first; `site` sets the
+ * base URL and title, which differ for profile sites.
+ */
+function buildFeeds(digests, site = { url: SITE_URL, title: SITE_TITLE }) {
+  const feeds = [];
+  const recentDaily = digests.daily.slice(0, DAILY_FEED_DIGESTS);
+
+  feeds.push({
+    name: 'daily',
+    title: `${site.title} — Daily Highlights`,
+    description: 'Top big tech stories of the day, ranked by relevance.',
+    pageUrl: `${site.url}/`,
+    items: uniqueItems(recentDaily.flatMap(d => (d.highlights || []).map(articleItem)))
+  });
+
+  for (const [type, label] of [['weekly', 'Weekly'], ['monthly', 'Monthly']]) {
+    feeds.push({
+      name: type,
+      title: `${site.title} — ${label} Digest`,
+      description: `${label} roundup of the most relevant big tech stories.`,
+      pageUrl: `${site.url}/`,
+      items: uniqueItems(digests[type].slice(0, DIGEST_FEED_ITEMS).map(d => digestItem(d, type, site)))
+    });
+  }
+
+  for (const [key, category] of Object.entries(CATEGORIES)) {
+    const articles = digests.daily.slice(0, CATEGORY_FEED_DIGESTS).flatMap(d => d.byCategory?.[key] || []);
+    feeds.push({
+      name: `categories/${key}`,
+      title: `${site.title} — ${category.name}`,
+      description: `${category.name} stories from the daily digests.`,
+      pageUrl: `${site.url}/`,
+      items: uniqueItems(articles.map(articleItem))
+    });
+  }
+
+  for (const feed of feeds) {
+    feed.siteUrl = site.url;
+    feed.updated = feed.items.map(item => item.published).sort().pop() || new Date().toISOString();
+  }
+  return feeds;
+}
+
+function renderRSS(feed) {
+  const items = feed.items.map(item => `
+    <item>
+      <title>${xml(item.title)}</title>
+      <link>${xml(item.url)}</link>
+      <guid isPermaLink="true">${xml(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+      <dc:creator>${xml(item.author)}</dc:creator>
+      ${item.tags.map(tag => `<category>${xml(tag)}</category>`).join('')}
+      <description>${xml(item.contentHTML)}</description>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${xml(feed.title)}</title>
+    <link>${xml(feed.pageUrl)}</link>
+    <description>${xml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${feed.siteUrl}/feeds/${feed.name}.xml" rel="self" type="application/rss+xml"/>${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed) {
+  const entries = feed.items.map(item => `
+  <entry>
+    <title>${xml(item.title)}</title>
+    <link href="${xml(item.url)}"/>
+    <id>${xml(item.id)}</id>
+    <updated>${item.published}</updated>
+    <author><name>${xml(item.author)}</name></author>
+    ${item.tags.map(tag => `<category term="${xml(tag)}"/>`).join('')}
+    <summary>${xml(item.summary)}</summary>
+    <content type="html">${xml(item.contentHTML)}</content>
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${xml(feed.title)}</title>
+  <subtitle>${xml(feed.description)}</subtitle>
+  <link href="${xml(feed.pageUrl)}"/>
+  <link href="${feed.siteUrl}/feeds/${feed.name}.atom" rel="self" type="application/atom+xml"/>
+  <id>${feed.siteUrl}/feeds/${feed.name}.atom</id>
+  <updated>${feed.updated}</updated>${entries}
+</feed>
+`;
+}
+
+function renderJSONFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.pageUrl,
+    feed_url: `${feed.siteUrl}/feeds/${feed.name}.json`,
+    description: feed.description,
+    language: 'en',
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_html: item.contentHTML,
+      summary: item.summary,
+      date_published: item.published,
+      authors: [{ name: item.author }],
+      ...(item.image ? { image: item.image } : {}),
+      ...(item.tags.length > 0 ? { tags: item.tags } : {})
+    }))
+  }, null, 2);
+}
+
+/**
+ * Write every feed in all three formats under public/feeds/
+ */
+async function writeFeeds(publicDir, digests, site) {
+  const feeds = buildFeeds(digests, site);
+  await fs.mkdir(path.join(publicDir, 'feeds', 'categories'), { recursive: true });
+
+  for (const feed of feeds) {
+    const base = path.join(publicDir, 'feeds', feed.name);
+    await fs.writeFile(`${base}.xml`, renderRSS(feed));
+    await fs.writeFile(`${base}.atom`, renderAtom(feed));
+    await fs.writeFile(`${base}.json`, renderJSONFeed(feed));
+  }
+  return feeds;
+}
+
+module.exports = {
+  buildFeeds,
+  renderRSS,
+  renderAtom,
+  renderJSONFeed,
+  writeFeeds
+};
@@ -1,16 +1,35 @@
 /**
  * Static Site Generator for Big Tech News
  * Generates homepage with week-to-date digest, search, and improved sidebar
+ *
+ * Usage:
+ *   node build/generate.js           Rebuild only pages whose inputs changed
+ *   node build/generate.js --clean   Ignore the build manifest and rebuild everything
  */
 
 const fs = require('fs').promises;
 const path = require('path');
-const { CATEGORIES } = require('../scraper/sources');
-const { startOfWeek, format, getISOWeek, getISOWeekYear } = require('date-fns');
+const { SOURCES, CATEGORIES, OTHER_CATEGORY } = require('../scraper/sources');
+const { SITE_TITLE, siteUrlFor } = require('../scraper/site');
+const { writeFeeds } = require('./feeds');
+const { writeSearchIndex } = require('./search-index');
+const { renderCardSVG, renderCardPNG, digestMetaHTML, renderSitemap } = require('./share');
+const { SPIKE_MIN_MENTIONS, SPIKE_FACTOR, BASELINE_PERIODS, buildTrends, writeTrends, risingTerms } = require('./trends');
+const { hashContent, hashFile, loadManifest, createTracker } = require('./manifest');
+const { FAILURE_THRESHOLD, STALE_AFTER_DAYS, loadHealth, isSuccess } = require('../scraper/health');
+const { loadProfiles } = require('../scraper/profiles');
+const { overridesFor, applyOverrides } = require('../scraper/overrides');
+const { TIMEZONE, editorialDay, editorialTime } = require('../scraper/dates');
+const { DATA_SCHEMA_VERSION, parseDigest, parseIndex } = require('../scraper/data-format');
+const { startOfISOWeek, format, parseISO } = require('date-fns');
 
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const PUBLIC_DIR = path.join(__dirname, '..', 'public');
 const TEMPLATES_DIR = path.join(__dirname, 'templates');
+const CATEGORY_PAGE_SIZE = 50;
+
+// Build code every page is rendered with; changing any of it rebuilds everything
+const RENDERER_FILES = ['generate.js', 'feeds.js', 'trends.js', 'search-index.js', 'share.js'];
 
 async function readTemplate(name) {
   return fs.readFile(path.join(TEMPLATES_DIR, `${name}.html`), 'utf-8');
@@ -63,9 +82,10 @@ function generateHeroHTML(articles) {
         <div class="top-lead-meta">
           <span class="top-lead-source">${esc(main.source)}</span>
           ${main.relevanceScore ? `<span class="top-lead-score">Score ${main.relevanceScore}</span>` : ''}
+          ${main.coverage > 1 ? `<span class="top-lead-score">${main.coverage} sources</span>` : ''}
         </div>
         <h1 class="top-lead-title">${esc(main.title)}</h1>
-        <p class="top-lead-desc">${esc(truncate(main.description, 180))}</p>
+        <p class="top-lead-desc">${esc(truncate(main.summary || main.description, 180))}</p>
         ${mainKeywords ? `<div class="top-badges">${mainKeywords}</div>` : ''}
       </div>
     </a>
@@ -113,6 +133,21 @@ function generateWeekToDateHTML(articles, max = 8) {
   `).join('');
 }
 
+/**
+ * Generate the "Rising this week" block shown beside week-to-date
+ */
+function generateRisingHTML(weekTrends, max = 6) {
+  const rising = weekTrends ? risingTerms(weekTrends, max) : [];
+  if (rising.length === 0) return '<p class="empty">Nothing rising yet this week</p>';
+
+  return `<ol class="rising-list">${rising.map(t => `
+    <li class="rising-item">
+      <a href="search.html?q=${encodeURIComponent(t.term)}" class="rising-term">${esc(t.term)}${t.spike ? ' <span class="trend-spike" title="Spike">🔥</span>' : ''}</a>
+      <span class="rising-meta">${t.count} <span class="trend-up">+${t.change}</span></span>
+    </li>`).join('')}
+  </ol>`;
+}
+
 /**
  * Generate news list items
  */
@@ -157,7 +192,7 @@ function generateSidebarGroupedHTML(items, type) {
   // Group by year
   const byYear = {};
   for (const item of items.slice(0, 20)) {
-    const year = item.year || (type === 'weekly' ? `20${item.id.split('-')[0]}` : `20${item.id.split('-')[0]}`);
+    const year = item.year || item.id.slice(0, 4);
     if (!byYear[year]) byYear[year] = [];
     byYear[year].push(item);
   }
@@ -179,6 +214,35 @@ function generateSidebarGroupedHTML(items, type) {
   return html;
 }
 
+/**
+ * Generate sidebar category archive links
+ */
+function generateSidebarCategoriesHTML() {
+  return Object.entries(CATEGORIES).map(([key, cat]) => `
+    <li class="sidebar-item">
+      <a href="category/${categoryPageFile(key)}" class="sidebar-link">
+        <span>${cat.icon} ${esc(cat.name)}</span>
+      </a>
+    </li>
+  `).join('');
+}
+
+/**
+ * Generate sidebar links to the main site and every profile site.
+ * `root` is the relative path from the current site to the main site.
+ */
+function generateSidebarProfilesHTML(profiles, current, root) {
+  if (profiles.length === 0) return '';
+  const sites = [{ key: null, name: 'All stories' }, ...profiles];
+  return sites.map(site => `
+    <li class="sidebar-item">
+      <a href="${root}${site.key ? `profiles/${site.key}/` : ''}index.html" class="sidebar-link${site.key === current ? ' active' : ''}">
+        <span>${esc(site.name)}</span>
+      </a>
+    </li>
+  `).join('');
+}
+
 /**
  * Generate archive cards for each type
  */
@@ -197,34 +261,29 @@ function generateArchiveCardsHTML(items, type) {
 }
 
 /**
- * Collect week-to-date articles from daily digests
+ * Collect week-to-date articles from the loaded daily digests
  */
-async function getWeekToDateArticles(index) {
-  const now = new Date();
-  const weekStart = startOfWeek(now, { weekStartsOn: 1 });
+function getWeekToDateArticles(dailyDigests) {
+  const today = editorialDay();
+  const weekStart = startOfISOWeek(today);
   const articles = [];
   const seenTitles = new Set();
 
   // Get all daily digests from this week
-  for (const daily of index.daily) {
-    // Parse date from id (YY-MM-DD)
-    const [yy, mm, dd] = daily.id.split('-').map(Number);
-    const digestDate = new Date(2000 + yy, mm - 1, dd);
+  for (const digest of dailyDigests) {
+    const digestDate = parseISO(digest.date);
     
-    if (digestDate >= weekStart && digestDate <= now) {
-      try {
-        const digest = JSON.parse(await fs.readFile(path.join(DATA_DIR, 'daily', `${daily.id}.json`), 'utf-8'));
-        const dayLabel = format(digestDate, 'EEE');
-        
-        for (const article of (digest.highlights || []).slice(0, 5)) {
-          // Deduplicate by title similarity
-          const titleKey = article.title.toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 50);
-          if (!seenTitles.has(titleKey)) {
-            seenTitles.add(titleKey);
-            articles.push({ ...article, dayLabel, digestDate });
-          }
+    if (digestDate >= weekStart && digestDate <= today) {
+      const dayLabel = format(digestDate, 'EEE');
+      
+      for (const article of digest.highlights.slice(0, 5)) {
+        // Deduplicate by title similarity
+        const titleKey = article.title.toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 50);
+        if (!seenTitles.has(titleKey)) {
+          seenTitles.add(titleKey);
+          articles.push({ ...article, dayLabel, digestDate });
         }
-      } catch {}
+      }
     }
   }
 
@@ -237,40 +296,27 @@ async function getWeekToDateArticles(index) {
   return articles;
 }
 
-/**
- * Build search index from recent articles
- */
-function buildSearchIndex(latestDaily, weekToDateArticles) {
-  const articles = [];
-  const seen = new Set();
-
-  // Add today's articles
-  for (const a of (latestDaily?.highlights || [])) {
-    if (!seen.has(a.link)) {
-      seen.add(a.link);
-      articles.push({
-        title: a.title,
-        source: a.source,
-        link: a.link,
-        keywords: a.matchedKeywords || []
-      });
-    }
-  }
+// Language tag for stories not in English
+function languageHTML(article) {
+  if (!article.language || article.language === 'en') return '';
+  return `<span class="article-lang" title="Language">${esc(article.language)}</span>`;
+}
 
-  // Add week-to-date articles
-  for (const a of weekToDateArticles) {
-    if (!seen.has(a.link)) {
-      seen.add(a.link);
-      articles.push({
-        title: a.title,
-        source: a.source,
-        link: a.link,
-        keywords: a.matchedKeywords || []
-      });
-    }
-  }
+// Other sources covering the same story (clustered digests only)
+function coverageHTML(article) {
+  const others = (article.sources || []).filter(s => s.link !== article.link);
+  if (others.length === 0) return '';
+  const links = others.map(s => `<a href="${s.link}" target="_blank" rel="noopener">${esc(s.source)}</a>`).join(', ');
+  return `<span class="article-coverage">Also covered by ${links}</span>`;
+}
 
-  return articles;
+// Collapsible score breakdown explaining why a story ranked where it did
+function scoreHTML(article) {
+  if (!article.scoreBreakdown?.length) return '';
+  const rows = article.scoreBreakdown.map(item =>
+    `<li><span class="score-rule">${esc(item.rule)}</span> ${esc(item.term)} <span class="score-points">+${item.points}</span></li>`
+  ).join('');
+  return `<details class="article-score"><summary>Score ${article.relevanceScore}</summary><ul>${rows}</ul></details>`;
 }
 
 // Article HTML for digest page
@@ -281,33 +327,91 @@ function articleHTML(article, i) {
       <span class="article-num${isTop ? ' top' : ''}">${i + 1}</span>
       <div class="article-body">
         <div class="article-title"><a href="${article.link}" target="_blank" rel="noopener">${esc(article.title)}</a></div>
-        <span class="article-source">${esc(article.source)}</span>
+        <span class="article-source">${esc(article.source)}</span>${languageHTML(article)}
+        ${coverageHTML(article)}
+        ${scoreHTML(article)}
       </div>
     </li>`;
 }
 
-// More section by category
+/**
+ * File name of a category archive page (page 1 is the bare key)
+ */
+function categoryPageFile(key, page = 1) {
+  return page === 1 ? `${key}.html` : `${key}-${page}.html`;
+}
+
+/**
+ * Navigation strip linking every category archive
+ */
+function generateCategoryNavHTML(prefix, activeKey = null) {
+  const links = Object.entries(CATEGORIES).map(([key, cat]) =>
+    `<a href="${prefix}${categoryPageFile(key)}" class="archive-tab${key === activeKey ? ' active' : ''}">${cat.icon} ${esc(cat.name)}</a>`
+  ).join('');
+  return `<nav class="archive-tabs category-nav">${links}</nav>`;
+}
+
+/**
+ * Icons of a story's labels other than the section it is listed in,
+ * titled with each category's name and confidence
+ */
+function otherLabelsHTML(article, sectionKey) {
+  const labels = (article.categories || []).filter(label => label.key !== sectionKey && CATEGORIES[label.key]);
+  if (labels.length === 0) return '';
+  const icons = labels.map(({ key, confidence }) =>
+    `<span class="more-label" title="Also in ${esc(CATEGORIES[key].name)} (${Math.round(confidence * 100)}% confidence)">${CATEGORIES[key].icon}</span>`
+  ).join('');
+  return `<span class="more-labels">${icons}</span>`;
+}
+
+// More section by category, largest first with Other last
 function moreHTML(byCategory) {
   const entries = Object.entries(byCategory || {})
     .filter(([_, articles]) => articles.length > 0)
-    .sort((a, b) => b[1].length - a[1].length);
+    .sort((a, b) => (a[0] === OTHER_CATEGORY) - (b[0] === OTHER_CATEGORY) || b[1].length - a[1].length);
 
   if (entries.length === 0) return '<p class="empty">No additional articles.</p>';
 
   return entries.map(([key, articles]) => {
     const cat = CATEGORIES[key] || { name: key, icon: '📰' };
     const items = articles.slice(0, 5).map(a => 
-      `<li class="more-item"><a href="${a.link}" target="_blank" rel="noopener">${esc(truncate(a.title, 80))}</a><span class="source">${esc(a.source)}</span></li>`
+      `<li class="more-item"><a href="${a.link}" target="_blank" rel="noopener">${esc(truncate(a.title, 80))}</a>${otherLabelsHTML(a, key)}<span class="source">${esc(a.source)}</span></li>`
     ).join('');
+    const archiveLink = CATEGORIES[key]
+      ? `<a href="../category/${categoryPageFile(key)}" class="view-all">All ${esc(cat.name)} →</a>`
+      : '';
     return `
       <div class="category">
-        <div class="category-title">${cat.icon} ${esc(cat.name)} <span class="category-count">${articles.length}</span></div>
+        <div class="category-title">${cat.icon} ${esc(cat.name)} <span class="category-count">${articles.length}</span>${archiveLink}</div>
         <ul class="more-list">${items}</ul>
       </div>`;
   }).join('');
 }
 
-async function generateDigestPage(digest, type) {
+/**
+ * Stub page at a digest's pre-migration URL that forwards to its current one
+ */
+function generateRedirectHTML(target) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Moved — Big Tech News</title>
+  <link rel="canonical" href="${esc(target)}">
+  <meta http-equiv="refresh" content="0; url=${esc(target)}">
+</head>
+<body>
+  <p>This digest has moved to <a href="${esc(target)}">${esc(target)}</a>.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a digest page. With `share` ({ siteUrl, siteTitle }) its head gets
+ * the link preview tags and JSON-LD pointing at the digest's share card.
+ */
+async function generateDigestPage(digest, type, share = null) {
   const template = await readTemplate('digest');
   const typeLabels = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
   
@@ -317,110 +421,474 @@ async function generateDigestPage(digest, type) {
 
   return render(template, {
     title: digest.title,
+    metaHTML: share ? digestMetaHTML(digest, type, share) : '',
     digestType: typeLabels[type] || 'Digest',
+    feedName: type,
     dateRange: digest.dateRange,
     totalArticles: digest.totalArticles || 0,
     highlightCount: digest.highlights?.length || 0,
     highlightsHTML,
     moreHTML: moreHTML(digest.byCategory),
+    categoryNavHTML: generateCategoryNavHTML('../category/'),
     generatedAt: new Date(digest.generatedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
   });
 }
 
-async function generateIndexPage(index, latestDaily, latestWeekly, weekToDateArticles) {
+/**
+ * Generate one row per source for the status page, flagged sources first
+ */
+function generateStatusHTML(sources) {
+  const entries = Object.values(sources || {})
+    .sort((a, b) => b.flags.length - a.flags.length || a.name.localeCompare(b.name));
+
+  if (entries.length === 0) return '<li class="empty">No fetches recorded yet.</li>';
+
+  return entries.map(entry => {
+    const run = entry.lastRun || {};
+    const flags = entry.flags.map(f => `<span class="status-flag">${esc(f)}</span>`).join('');
+    const newest = entry.newestItem ? format(editorialTime(new Date(entry.newestItem)), 'MMM d, HH:mm') : '—';
+    const recent = (entry.history || []).slice(0, 14).reverse()
+      .map(h => `<span class="status-dot ${isSuccess(h) ? 'ok' : 'fail'}" title="${esc(h.checkedAt)}: ${esc(h.status)}"></span>`).join('');
+
+    return `
+      <li class="status-item${entry.flags.length > 0 ? ' flagged' : ''}">
+        <div class="status-head">
+          <span class="status-name">${esc(entry.name)}</span>
+          ${flags}
+        </div>
+        <div class="status-meta">
+          <span>${esc(run.status || 'unknown')}${run.httpStatus ? ` · HTTP ${run.httpStatus}` : ''}</span>
+          <span>${run.itemCount ?? 0} items</span>
+          <span>newest ${newest}</span>
+          <span>${run.latencyMs ?? 0} ms</span>
+          ${entry.consecutiveFailures > 0 ? `<span>${entry.consecutiveFailures} failures in a row</span>` : ''}
+        </div>
+        ${run.error ? `<div class="status-error">${esc(run.error)}</div>` : ''}
+        <div class="status-history">${recent}</div>
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * Inline SVG sparkline for a series of counts
+ */
+function sparklineSVG(series, width = 72, height = 18) {
+  const max = Math.max(1, ...series);
+  const step = series.length > 1 ? width / (series.length - 1) : 0;
+  const points = series.map((v, i) => `${(i * step).toFixed(1)},${(height - 1 - (v / max) * (height - 2)).toFixed(1)}`).join(' ');
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true"><polyline points="${points}"/></svg>`;
+}
+
+/**
+ * Generate the trend table for one period, most mentioned first
+ */
+function generateTrendTableHTML(periodTrends, max = 30) {
+  const rows = periodTrends.terms.filter(t => t.count > 0).slice(0, max);
+  if (rows.length === 0) return '<p class="empty">No mentions in this period yet.</p>';
+
+  return `
+    <table class="trend-table">
+      <thead><tr><th>Term</th><th>Mentions</th><th>Before</th><th>Change</th><th>Trend</th></tr></thead>
+      <tbody>${rows.map(t => {
+        const changeClass = t.change > 0 ? 'trend-up' : t.change < 0 ? 'trend-down' : 'trend-flat';
+        const change = `${t.change > 0 ? '+' : ''}${t.change}${t.changePct !== null ? ` (${t.changePct > 0 ? '+' : ''}${t.changePct}%)` : ''}`;
+        return `
+        <tr>
+          <td><a href="search.html?q=${encodeURIComponent(t.term)}">${esc(t.term)}</a> <span class="trend-kind">${t.kind}</span>${t.spike ? ' <span class="trend-spike" title="Spike">🔥</span>' : ''}</td>
+          <td>${t.count}</td>
+          <td>${t.previous}</td>
+          <td class="${changeClass}">${change}</td>
+          <td>${sparklineSVG(t.series)}</td>
+        </tr>`;
+      }).join('')}
+      </tbody>
+    </table>`;
+}
+
+function periodRange(from, to) {
+  const start = new Date(`${from}T00:00:00`);
+  const end = new Date(`${to}T00:00:00`);
+  return from === to ? format(start, 'EEE, MMM d') : `${format(start, 'MMM d')} – ${format(end, 'MMM d')}`;
+}
+
+async function generateTrendsPage(trends) {
+  const template = await readTemplate('trends');
+  const data = {
+    asOf: format(parseISO(trends.asOf), 'MMM d, yyyy'),
+    spikeCount: trends.week.terms.filter(t => t.spike).length,
+    termCount: Object.keys(trends.kinds).length,
+    spikeMin: SPIKE_MIN_MENTIONS,
+    spikeFactor: SPIKE_FACTOR,
+    baselinePeriods: BASELINE_PERIODS
+  };
+  for (const name of ['day', 'week', 'month']) {
+    const period = trends[name];
+    data[`${name}Label`] = period.from === period.to ? period.label : `${period.label} (${periodRange(period.from, period.to)})`;
+    data[`${name}Compare`] = periodRange(period.previousFrom, period.previousTo);
+    data[`${name}HTML`] = generateTrendTableHTML(period);
+  }
+  return render(template, data);
+}
+
+async function generateStatusPage(health) {
+  const template = await readTemplate('status');
+  // Disabled or removed sources keep their old health entries; don't flag them
+  const sources = Object.fromEntries(Object.entries(health.sources || {}).filter(([key]) => SOURCES[key]?.enabled));
+  const entries = Object.values(sources);
+  const flaggedCount = entries.filter(e => e.flags.length > 0).length;
+
+  return render(template, {
+    lastChecked: health.lastUpdated
+      ? new Date(health.lastUpdated).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+      : 'never',
+    healthyCount: entries.length - flaggedCount,
+    flaggedCount,
+    statusHTML: generateStatusHTML(sources),
+    failureThreshold: FAILURE_THRESHOLD,
+    staleDays: STALE_AFTER_DAYS
+  });
+}
+
+/**
+ * Collect each category's stories across all digests, newest first.
+ * A story appearing in several digests is listed once with every digest it appeared in.
+ */
+function collectCategoryStories(digests) {
+  const typeLabels = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+  const byCategory = {};
+
+  for (const type of ['daily', 'weekly', 'monthly']) {
+    for (const digest of digests[type]) {
+      for (const [key, articles] of Object.entries(digest.byCategory || {})) {
+        if (!CATEGORIES[key]) continue;
+        if (!byCategory[key]) byCategory[key] = new Map();
+        for (const article of articles) {
+          const appearance = { type, id: digest.id, label: type === 'daily' ? digest.title : `${typeLabels[type]} · ${digest.title}` };
+          const existing = byCategory[key].get(article.link);
+          if (existing) existing.appearances.push(appearance);
+          else byCategory[key].set(article.link, { article, appearances: [appearance] });
+        }
+      }
+    }
+  }
+
+  const result = {};
+  for (const key of Object.keys(CATEGORIES)) {
+    result[key] = [...(byCategory[key]?.values() || [])]
+      .sort((a, b) => new Date(b.article.published) - new Date(a.article.published));
+  }
+  return result;
+}
+
+function generateCategoryStoriesHTML(stories) {
+  if (stories.length === 0) return '<li class="empty">No stories in this category yet.</li>';
+
+  return stories.map(({ article, appearances }) => {
+    const published = new Date(article.published);
+    const date = Number.isNaN(published.getTime()) ? '' : format(editorialDay(published), 'MMM d, yyyy');
+    const digestLinks = appearances.map(a => `<a href="../${a.type}/${a.id}.html">${esc(a.label)}</a>`).join(', ');
+    return `
+      <li class="more-item">
+        <a href="${article.link}" target="_blank" rel="noopener">${esc(article.title)}</a><span class="source">${esc(article.source)}${date ? ` · ${date}` : ''}</span>
+        <div class="category-appearances">In ${digestLinks}</div>
+      </li>`;
+  }).join('');
+}
+
+function generatePaginationHTML(key, page, pages) {
+  if (pages <= 1) return '';
+  const prev = page > 1 ? `<a href="${categoryPageFile(key, page - 1)}" class="view-all">← Newer</a>` : '<span></span>';
+  const next = page < pages ? `<a href="${categoryPageFile(key, page + 1)}" class="view-all">Older →</a>` : '<span></span>';
+  return `<div class="pagination">${prev}<span class="pagination-info">${page} / ${pages}</span>${next}</div>`;
+}
+
+/**
+ * Write paginated archive pages for every category
+ */
+async function generateCategoryPages(digests, publicDir = PUBLIC_DIR) {
+  const template = await readTemplate('category');
+  const storiesByCategory = collectCategoryStories(digests);
+  let written = 0;
+
+  for (const [key, stories] of Object.entries(storiesByCategory)) {
+    const cat = CATEGORIES[key];
+    const pages = Math.max(1, Math.ceil(stories.length / CATEGORY_PAGE_SIZE));
+    const digestCount = new Set(stories.flatMap(s => s.appearances.map(a => `${a.type}/${a.id}`))).size;
+    const dates = stories.map(s => new Date(s.article.published)).filter(d => !Number.isNaN(d.getTime()));
+    const dateRange = dates.length > 0
+      ? `${format(editorialDay(dates[dates.length - 1]), 'MMM d, yyyy')} – ${format(editorialDay(dates[0]), 'MMM d, yyyy')}`
+      : '';
+
+    for (let page = 1; page <= pages; page++) {
+      const pageStories = stories.slice((page - 1) * CATEGORY_PAGE_SIZE, page * CATEGORY_PAGE_SIZE);
+      const html = render(template, {
+        key,
+        name: cat.name,
+        icon: cat.icon,
+        page,
+        pages,
+        paged: pages > 1,
+        pageSuffix: page > 1,
+        dateRange,
+        totalStories: stories.length,
+        digestCount,
+        categoryNavHTML: generateCategoryNavHTML('', key),
+        storiesHTML: generateCategoryStoriesHTML(pageStories),
+        paginationHTML: generatePaginationHTML(key, page, pages)
+      });
+      await fs.writeFile(path.join(publicDir, 'category', categoryPageFile(key, page)), html);
+      written++;
+    }
+  }
+  return written;
+}
+
+async function generateSearchPage(manifest) {
+  const template = await readTemplate('search');
+  const storyCount = manifest.shards.reduce((sum, shard) => sum + shard.count, 0);
+  const firstDate = manifest.shards.map(shard => shard.from).filter(Boolean).sort()[0];
+
+  return render(template, {
+    storyCount,
+    firstDate: firstDate ? format(parseISO(firstDate), 'MMM d, yyyy') : '—'
+  });
+}
+
+async function generateIndexPage(index, latestDaily, latestWeekly, weekToDateArticles, trends, site) {
   const template = await readTemplate('index');
   
   const todayHighlights = latestDaily?.highlights || [];
-  const now = new Date();
-  const weekStart = startOfWeek(now, { weekStartsOn: 1 });
-  const weekDateRange = `${format(weekStart, 'MMM d')} – ${format(now, 'MMM d')}`;
-  
-  // Build search index
-  const searchArticles = buildSearchIndex(latestDaily, weekToDateArticles);
+  const today = editorialDay();
+  const weekStart = startOfISOWeek(today);
+  const weekDateRange = `${format(weekStart, 'MMM d')} – ${format(today, 'MMM d')}`;
 
   return render(template, {
+    siteTitle: esc(site.title),
+    profileName: site.profile ? esc(site.profile.name) : '',
+    profileDescription: site.profile ? esc(site.profile.description) : '',
+    mainSiteLink: `${site.root}index.html`,
     lastUpdated: new Date(index.lastUpdated).toLocaleDateString('en-US', { 
       weekday: 'short',
       month: 'short', 
       day: 'numeric', 
       hour: '2-digit', 
-      minute: '2-digit'
+      minute: '2-digit',
+      timeZone: TIMEZONE,
+      timeZoneName: 'short'
     }),
     heroHTML: generateHeroHTML(todayHighlights),
     weekDateRange,
     weekToDateHTML: generateWeekToDateHTML(weekToDateArticles, 8),
+    risingHTML: generateRisingHTML(trends?.week),
     todayNewsHTML: generateNewsListHTML(todayHighlights.slice(4), 8),
     latestDailyLink: index.daily[0] ? `daily/${index.daily[0].id}.html` : '',
     latestWeeklyLink: index.weekly[0] ? `weekly/${index.weekly[0].id}.html` : '',
     sidebarRecentHTML: generateSidebarRecentHTML(index.daily),
     sidebarWeeklyHTML: generateSidebarGroupedHTML(index.weekly, 'weekly'),
     sidebarMonthlyHTML: generateSidebarGroupedHTML(index.monthly, 'monthly'),
+    sidebarCategoriesHTML: generateSidebarCategoriesHTML(),
+    sidebarProfilesHTML: generateSidebarProfilesHTML(site.profiles, site.profile?.key ?? null, site.root),
     archiveDailyHTML: generateArchiveCardsHTML(index.daily, 'daily'),
     archiveWeeklyHTML: generateArchiveCardsHTML(index.weekly, 'weekly'),
-    archiveMonthlyHTML: generateArchiveCardsHTML(index.monthly, 'monthly'),
-    articlesJSON: JSON.stringify(searchArticles)
+    archiveMonthlyHTML: generateArchiveCardsHTML(index.monthly, 'monthly')
   });
 }
 
-async function build() {
-  console.log('Building site...\n');
+/**
+ * Hash of everything every page of a site is rendered with: the build code,
+ * the source and category config, and the site's own title and location
+ */
+async function sharedHash(site) {
+  const code = await Promise.all(RENDERER_FILES.map(file => hashFile(path.join(__dirname, file))));
+  return hashContent(...code, JSON.stringify(SOURCES), JSON.stringify(CATEGORIES), site.title, site.root, siteUrlFor(site.profile?.key));
+}
 
-  // Create directories
-  await fs.mkdir(path.join(PUBLIC_DIR, 'css'), { recursive: true });
-  await fs.mkdir(path.join(PUBLIC_DIR, 'daily'), { recursive: true });
-  await fs.mkdir(path.join(PUBLIC_DIR, 'weekly'), { recursive: true });
-  await fs.mkdir(path.join(PUBLIC_DIR, 'monthly'), { recursive: true });
+async function templateHash(file) {
+  return hashFile(path.join(TEMPLATES_DIR, file));
+}
+
+/**
+ * Build one site: the main site from data/ into public/, or a profile's site
+ * from data/profiles/<key>/ into public/profiles/<key>/.
+ * Only outputs whose inputs changed since the last build are regenerated,
+ * unless `clean` is set. Returns the number of digests that couldn't be read.
+ */
+async function buildSite(site, health, { clean = false } = {}) {
+  const { dataDir, publicDir } = site;
+  const tracker = createTracker(publicDir, clean ? {} : await loadManifest(publicDir));
+  const shared = await sharedHash(site);
+  const today = format(editorialDay(), 'yyyy-MM-dd');
 
-  // Copy CSS
-  await fs.copyFile(path.join(TEMPLATES_DIR, 'styles.css'), path.join(PUBLIC_DIR, 'css', 'styles.css'));
-  console.log('✓ styles.css');
+  // Create directories
+  await fs.mkdir(path.join(publicDir, 'css'), { recursive: true });
+  await fs.mkdir(path.join(publicDir, 'js'), { recursive: true });
+  await fs.mkdir(path.join(publicDir, 'daily'), { recursive: true });
+  await fs.mkdir(path.join(publicDir, 'weekly'), { recursive: true });
+  await fs.mkdir(path.join(publicDir, 'monthly'), { recursive: true });
+  await fs.mkdir(path.join(publicDir, 'category'), { recursive: true });
+  for (const type of ['daily', 'weekly', 'monthly']) await fs.mkdir(path.join(publicDir, 'cards', type), { recursive: true });
+
+  // Copy CSS and the client-side search script
+  for (const [file, output] of [['styles.css', 'css/styles.css'], ['search.js', 'js/search.js']]) {
+    if (!await tracker.isFresh(output, await templateHash(file))) {
+      await fs.copyFile(path.join(TEMPLATES_DIR, file), path.join(publicDir, output));
+      console.log(`✓ ${file}`);
+    }
+  }
 
-  // Load index
+  // Load index; a missing one means no digests yet, an invalid one fails the build
+  const indexPath = path.join(dataDir, 'index.json');
+  let indexRaw = '';
   let index;
   try {
-    index = JSON.parse(await fs.readFile(path.join(DATA_DIR, 'index.json'), 'utf-8'));
-  } catch {
-    index = { lastUpdated: new Date().toISOString(), daily: [], weekly: [], monthly: [] };
+    indexRaw = await fs.readFile(indexPath, 'utf-8');
+    index = parseIndex(indexRaw, indexPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    index = { schemaVersion: DATA_SCHEMA_VERSION, lastUpdated: new Date().toISOString(), daily: [], weekly: [], monthly: [] };
   }
 
-  // Load latest daily and weekly for homepage
-  let latestDaily = null, latestWeekly = null;
-  
-  if (index.daily[0]) {
-    try {
-      latestDaily = JSON.parse(await fs.readFile(path.join(DATA_DIR, 'daily', `${index.daily[0].id}.json`), 'utf-8'));
-    } catch {}
-  }
-  
-  if (index.weekly[0]) {
-    try {
-      latestWeekly = JSON.parse(await fs.readFile(path.join(DATA_DIR, 'weekly', `${index.weekly[0].id}.json`), 'utf-8'));
-    } catch {}
+  // Generate source status page
+  if (await tracker.writeFile('status.html', hashContent(shared, await templateHash('status.html'), JSON.stringify(health)), () => generateStatusPage(health))) {
+    console.log('✓ status.html');
   }
 
-  // Get week-to-date articles
-  const weekToDateArticles = await getWeekToDateArticles(index);
-  console.log(`✓ Week-to-date: ${weekToDateArticles.length} articles`);
-
-  // Generate index
-  await fs.writeFile(path.join(PUBLIC_DIR, 'index.html'), await generateIndexPage(index, latestDaily, latestWeekly, weekToDateArticles));
-  console.log('✓ index.html');
-
-  // Generate digest pages
+  // Generate digest pages and their share cards whose digest changed
+  const digestTemplate = await templateHash('digest.html');
+  const share = { siteUrl: siteUrlFor(site.profile?.key), siteTitle: site.title };
+  const digests = { daily: [], weekly: [], monthly: [] };
+  const digestHashes = [];
+  let cards = 0;
+  let invalid = 0;
   for (const type of ['daily', 'weekly', 'monthly']) {
     for (const info of index[type]) {
       try {
-        const digest = JSON.parse(await fs.readFile(path.join(DATA_DIR, type, `${info.id}.json`), 'utf-8'));
-        await fs.writeFile(path.join(PUBLIC_DIR, type, `${digest.id}.html`), await generateDigestPage(digest, type));
-        console.log(`✓ ${type}/${digest.id}.html`);
+        const file = path.join(dataDir, type, `${info.id}.json`);
+        const raw = await fs.readFile(file, 'utf-8');
+        // Overrides edited since the digest was saved apply without regenerating it
+        const overrides = overridesFor(info.id);
+        const digest = applyOverrides(parseDigest(raw, file), overrides);
+        const hash = hashContent(raw, JSON.stringify(overrides.source));
+        if (await tracker.writeFile(`${type}/${digest.id}.html`, hashContent(shared, digestTemplate, hash), () => generateDigestPage(digest, type, share))) {
+          console.log(`✓ ${type}/${digest.id}.html`);
+        }
+        const svg = renderCardSVG(digest, type, site.title);
+        await tracker.writeFile(`cards/${type}/${digest.id}.svg`, hashContent(shared, hash), () => svg);
+        if (await tracker.writeFile(`cards/${type}/${digest.id}.png`, hashContent(shared, hash), () => renderCardPNG(svg))) cards++;
+        for (const legacyId of digest.legacyIds || []) {
+          await tracker.writeFile(`${type}/${legacyId}.html`, hashContent(shared, digest.id), () => generateRedirectHTML(`${digest.id}.html`));
+        }
+        digests[type].push(digest);
+        digestHashes.push(`${type}/${digest.id}:${hash}`);
       } catch (e) {
         console.error(`✗ ${type}/${info.id}: ${e.message}`);
+        invalid++;
       }
     }
   }
 
+  if (cards > 0) console.log(`✓ share cards (${cards})`);
+
+  // Pages built from the whole archive change whenever the index or any digest does
+  const archive = hashContent(indexRaw, ...digestHashes);
+
+  if (await tracker.writeFile('sitemap.xml', hashContent(shared, archive), () => renderSitemap(share.siteUrl, digests))) {
+    console.log('✓ sitemap.xml');
+  }
+
+  // Generate mention trends, then the homepage with its "rising this week" block
+  let trends = null;
+  if (!await tracker.isFresh('trends.html', hashContent(shared, await templateHash('trends.html'), archive, today))) {
+    trends = await writeTrends(publicDir, digests.daily, editorialDay());
+    await fs.writeFile(path.join(publicDir, 'trends.html'), await generateTrendsPage(trends));
+    console.log(`✓ trends.html (${Object.keys(trends.kinds).length} terms)`);
+  }
+
+  // The homepage carries the sidebar, so it also depends on the profile list
+  const indexHash = hashContent(shared, await templateHash('index.html'), archive, today, JSON.stringify(site.profiles));
+  if (await tracker.writeFile('index.html', indexHash, async () => {
+    let latestDaily = null, latestWeekly = null;
+    if (index.daily[0]) latestDaily = digests.daily.find(d => d.id === index.daily[0].id) || null;
+    if (index.weekly[0]) latestWeekly = digests.weekly.find(d => d.id === index.weekly[0].id) || null;
+    const weekToDateArticles = getWeekToDateArticles(digests.daily);
+    console.log(`✓ Week-to-date: ${weekToDateArticles.length} articles`);
+    trends = trends || buildTrends(digests.daily, editorialDay());
+    return generateIndexPage(index, latestDaily, latestWeekly, weekToDateArticles, trends, site);
+  })) {
+    console.log('✓ index.html');
+  }
+
+  // Generate category archive pages
+  if (!await tracker.isFresh('category', hashContent(shared, await templateHash('category.html'), archive))) {
+    const categoryPages = await generateCategoryPages(digests, publicDir);
+    console.log(`✓ category pages (${categoryPages})`);
+  }
+
+  // Generate full-archive search index and page
+  if (!await tracker.isFresh('search', hashContent(shared, await templateHash('search.html'), archive))) {
+    const searchManifest = await writeSearchIndex(publicDir, digests.daily);
+    await fs.writeFile(path.join(publicDir, 'search.html'), await generateSearchPage(searchManifest));
+    console.log(`✓ search.html (${searchManifest.shards.length} shards)`);
+  }
+
+  // Generate RSS, Atom and JSON feeds
+  if (!await tracker.isFresh('feeds', hashContent(shared, archive))) {
+    const feeds = await writeFeeds(publicDir, digests, { url: share.siteUrl, title: site.title });
+    console.log(`✓ feeds (${feeds.length} × rss, atom, json)`);
+  }
+
+  await tracker.save();
+  console.log(`✓ ${tracker.stats.built} built, ${tracker.stats.unchanged} unchanged`);
+  return invalid;
+}
+
+async function build() {
+  const clean = process.argv.includes('--clean');
+  console.log(clean ? 'Building site from scratch...\n' : 'Building site...\n');
+
+  const health = await loadHealth();
+  const profiles = Object.values(loadProfiles());
+
+  let invalid = await buildSite({
+    dataDir: DATA_DIR,
+    publicDir: PUBLIC_DIR,
+    title: SITE_TITLE,
+    profile: null,
+    profiles,
+    root: ''
+  }, health, { clean });
+
+  // Each profile gets its own copy of the site under profiles/<key>/
+  for (const profile of profiles) {
+    console.log(`\n── Profile: ${profile.name} ──`);
+    invalid += await buildSite({
+      dataDir: path.join(DATA_DIR, 'profiles', profile.key),
+      publicDir: path.join(PUBLIC_DIR, 'profiles', profile.key),
+      title: `${SITE_TITLE} · ${profile.name}`,
+      profile,
+      profiles,
+      root: '../../'
+    }, health, { clean });
+  }
+
+  // Pages for unreadable digests are missing, so don't let the build pass for deploy
+  if (invalid > 0) {
+    console.error(`\n❌ ${invalid} digest${invalid !== 1 ? 's' : ''} could not be read; run "npm run verify-data"`);
+    process.exit(1);
+  }
+
   console.log('\n✅ Done');
   process.exit(0);
 }
 
-build().catch(e => { console.error(e); process.exit(1); });
+if (require.main === module) {
+  build().catch(e => { console.error(e); process.exit(1); });
+}
+
+module.exports = {
+  PUBLIC_DIR,
+  generateDigestPage,
+  buildSite,
+  build
+};
@@ -0,0 +1,101 @@
+/**
+ * Build Manifest for Big Tech News
+ * Remembers a hash of every input that went into each generated output so
+ * the next build only regenerates what actually changed.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = '.build-manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Short, stable hash of any number of strings
+ */
+function hashContent(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(String(part ?? '')).update('\0');
+  return hash.digest('hex').slice(0, 16);
+}
+
+async function hashFile(file) {
+  return hashContent(await fs.readFile(file, 'utf-8'));
+}
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Load the previous build's output hashes. A missing, unreadable or
+ * older-format manifest means everything is rebuilt.
+ */
+async function loadManifest(publicDir) {
+  try {
+    const manifest = JSON.parse(await fs.readFile(path.join(publicDir, MANIFEST_FILE), 'utf-8'));
+    return manifest.version === MANIFEST_VERSION ? manifest.outputs || {} : {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`  ⚠ Could not read build manifest: ${error.message}`);
+    return {};
+  }
+}
+
+async function saveManifest(publicDir, outputs) {
+  await fs.writeFile(path.join(publicDir, MANIFEST_FILE), JSON.stringify({
+    version: MANIFEST_VERSION,
+    builtAt: new Date().toISOString(),
+    outputs
+  }, null, 2));
+}
+
+/**
+ * Track which outputs of one site are stale. An output (a file, or a directory
+ * written as a group) is fresh when its input hash matches the previous build
+ * and it is still on disk.
+ */
+function createTracker(publicDir, previous = {}) {
+  const outputs = {};
+  const stats = { built: 0, unchanged: 0 };
+
+  async function isFresh(output, hash) {
+    outputs[output] = hash;
+    if (previous[output] === hash && await exists(path.join(publicDir, output))) {
+      stats.unchanged++;
+      return true;
+    }
+    stats.built++;
+    return false;
+  }
+
+  /**
+   * Render and write a single file unless it is fresh; returns whether it was written
+   */
+  async function writeFile(output, hash, render) {
+    if (await isFresh(output, hash)) return false;
+    await fs.writeFile(path.join(publicDir, output), await render());
+    return true;
+  }
+
+  return {
+    isFresh,
+    writeFile,
+    stats,
+    save: () => saveManifest(publicDir, outputs)
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  hashContent,
+  hashFile,
+  loadManifest,
+  saveManifest,
+  createTracker
+};
@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+/**
+ * Newsletter Renderer for Big Tech News
+ * Turns a digest into email-safe HTML (tables + inline CSS) with a plain-text
+ * alternative, writes it as a ready-to-send .eml file, and optionally delivers
+ * it over SMTP to the subscribers listed in config/newsletter.json.
+ *
+ * Usage: node build/newsletter.js [--daily|--weekly|--monthly] [--id ID] [--profile KEY] [--send]
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { CATEGORIES, OTHER_CATEGORY } = require('../scraper/sources');
+const { siteUrlFor } = require('../scraper/site');
+const { readDigest, readIndex } = require('../scraper/data-format');
+const { overridesFor, applyOverrides } = require('../scraper/overrides');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'newsletter');
+const CONFIG_PATH = path.join(__dirname, '..', 'config', 'newsletter.json');
+
+// Inline styles; email clients ignore <style> blocks and external CSS
+const STYLES = {
+  body: 'margin:0;padding:0;background:#f4f4f5;',
+  wrapper: 'width:100%;background:#f4f4f5;',
+  container: 'width:600px;max-width:100%;background:#ffffff;border-radius:8px;',
+  header: 'padding:28px 32px 12px;font-family:Helvetica,Arial,sans-serif;',
+  kicker: 'font-size:12px;font-weight:bold;letter-spacing:1px;text-transform:uppercase;color:#3b82f6;',
+  title: 'margin:6px 0 4px;font-size:24px;line-height:30px;font-weight:bold;color:#111111;',
+  subtitle: 'font-size:14px;color:#666666;',
+  section: 'padding:16px 32px 0;font-family:Helvetica,Arial,sans-serif;font-size:16px;font-weight:bold;color:#111111;',
+  rank: 'width:28px;padding:10px 0;vertical-align:top;font-family:Helvetica,Arial,sans-serif;font-size:13px;font-weight:bold;color:#3b82f6;',
+  item: 'padding:10px 0;border-bottom:1px solid #eeeeee;font-family:Helvetica,Arial,sans-serif;',
+  link: 'font-size:15px;line-height:21px;color:#111111;text-decoration:none;font-weight:bold;',
+  meta: 'font-size:12px;line-height:18px;color:#888888;',
+  moreLink: 'font-size:14px;line-height:20px;color:#111111;text-decoration:none;',
+  footer: 'padding:24px 32px 28px;font-family:Helvetica,Arial,sans-serif;font-size:12px;color:#888888;',
+  footerLink: 'color:#3b82f6;text-decoration:none;'
+};
+
+function esc(text) {
+  if (!text) return '';
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function truncate(text, max) {
+  if (!text) return '';
+  const clean = text.replace(/<[^>]*>/g, '').trim();
+  return clean.length <= max ? clean : clean.substring(0, max).trim() + '…';
+}
+
+async function loadConfig(file = CONFIG_PATH) {
+  const config = JSON.parse(await fs.readFile(file, 'utf-8'));
+  config.smtp = {
+    ...config.smtp,
+    host: process.env.SMTP_HOST || config.smtp?.host || null,
+    port: Number(process.env.SMTP_PORT) || config.smtp?.port || 587
+  };
+  if (process.env.SMTP_USER) {
+    config.smtp.auth = { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' };
+  }
+  return config;
+}
+
+function digestUrl(digest) {
+  return `${siteUrlFor(digest.profile)}/${digest.type}/${digest.id}.html`;
+}
+
+function subjectFor(digest, config) {
+  const labels = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+  return `${config.subjectPrefix} ${labels[digest.type] || ''} — ${digest.title}`.replace(/\s+/g, ' ');
+}
+
+/**
+ * Categories that have stories, largest first with Other last, capped per category
+ */
+function categorySections(digest, config) {
+  return Object.entries(digest.byCategory || {})
+    .filter(([, articles]) => articles.length > 0)
+    .sort((a, b) => (a[0] === OTHER_CATEGORY) - (b[0] === OTHER_CATEGORY) || b[1].length - a[1].length)
+    .map(([key, articles]) => ({
+      category: CATEGORIES[key] || { name: key, icon: '📰' },
+      articles: articles.slice(0, config.maxPerCategory)
+    }));
+}
+
+/**
+ * Render the email-safe HTML body
+ */
+function renderHTML(digest, config) {
+  const labels = { daily: 'Daily Digest', weekly: 'Weekly Digest', monthly: 'Monthly Digest' };
+  const highlights = (digest.highlights || []).slice(0, config.maxHighlights);
+
+  const highlightRows = highlights.map((a, i) => `
+          <tr>
+            <td style="${STYLES.rank}">${i + 1}</td>
+            <td style="${STYLES.item}">
+              <a href="${esc(a.link)}" style="${STYLES.link}">${esc(a.title)}</a>
+              <div style="${STYLES.meta}">${esc(a.source)}${a.coverage > 1 ? ` · ${a.coverage} sources` : ''}</div>
+              ${a.summary || a.description ? `<div style="${STYLES.meta}">${esc(truncate(a.summary || a.description, 160))}</div>` : ''}
+            </td>
+          </tr>`).join('');
+
+  const sections = categorySections(digest, config).map(({ category, articles }) => `
+    <tr><td style="${STYLES.section}">${category.icon} ${esc(category.name)}</td></tr>
+    <tr>
+      <td style="padding:0 32px;">
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+          ${articles.map(a => `
+          <tr>
+            <td style="${STYLES.item}">
+              <a href="${esc(a.link)}" style="${STYLES.moreLink}">${esc(truncate(a.title, 100))}</a>
+              <div style="${STYLES.meta}">${esc(a.source)}</div>
+            </td>
+          </tr>`).join('')}
+        </table>
+      </td>
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${esc(subjectFor(digest, config))}</title>
+</head>
+<body style="${STYLES.body}">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="${STYLES.wrapper}">
+    <tr>
+      <td align="center" style="padding:24px 12px;">
+        <table role="presentation" width="600" cellpadding="0" cellspacing="0" border="0" style="${STYLES.container}">
+          <tr>
+            <td style="${STYLES.header}">
+              <div style="${STYLES.kicker}">${labels[digest.type] || 'Digest'}</div>
+              <div style="${STYLES.title}">${esc(digest.title)}</div>
+              <div style="${STYLES.subtitle}">${esc(digest.dateRange)} · ${digest.totalArticles || 0} stories</div>
+            </td>
+          </tr>
+          <tr><td style="${STYLES.section}">Top Stories</td></tr>
+          <tr>
+            <td style="padding:0 32px;">
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">${highlightRows || `
+                <tr><td style="${STYLES.item}"><span style="${STYLES.meta}">No highlights.</span></td></tr>`}
+              </table>
+            </td>
+          </tr>${sections}
+          <tr>
+            <td style="${STYLES.footer}">
+              <a href="${esc(digestUrl(digest))}" style="${STYLES.footerLink}">View this digest online</a><br>
+              Curated tech news, ranked by relevance.
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the plain-text alternative
+ */
+function renderText(digest, config) {
+  const highlights = (digest.highlights || []).slice(0, config.maxHighlights);
+  const lines = [
+    subjectFor(digest, config),
+    `${digest.dateRange} · ${digest.totalArticles || 0} stories`,
+    '',
+    'TOP STORIES',
+    ''
+  ];
+
+  if (highlights.length === 0) lines.push('No highlights.', '');
+  highlights.forEach((a, i) => {
+    lines.push(`${i + 1}. ${a.title}`, `   ${a.source} — ${a.link}`, '');
+  });
+
+  for (const { category, articles } of categorySections(digest, config)) {
+    lines.push(category.name.toUpperCase(), '');
+    for (const a of articles) {
+      lines.push(`- ${a.title} (${a.source})`, `  ${a.link}`);
+    }
+    lines.push('');
+  }
+
+  lines.push(`View online: ${digestUrl(digest)}`);
+  return lines.join('\n');
+}
+
+/**
+ * Mail options shared by the .eml file and SMTP delivery
+ */
+function buildMessage(digest, config, to = []) {
+  return {
+    from: config.from,
+    replyTo: config.replyTo || undefined,
+    to: to.length > 0 ? to : undefined,
+    subject: subjectFor(digest, config),
+    text: renderText(digest, config),
+    html: renderHTML(digest, config),
+    headers: { 'X-Digest-Id': `${digest.type}/${digest.id}` }
+  };
+}
+
+/**
+ * Write <type>/<id>.eml and .html under public/newsletter/
+ */
+async function writeNewsletter(digest, config, outputDir = OUTPUT_DIR) {
+  const dir = path.join(outputDir, digest.type);
+  await fs.mkdir(dir, { recursive: true });
+
+  const message = buildMessage(digest, config);
+  const eml = await new MailComposer(message).compile().build();
+  const emlPath = path.join(dir, `${digest.id}.eml`);
+  await fs.writeFile(emlPath, eml);
+  await fs.writeFile(path.join(dir, `${digest.id}.html`), message.html);
+  return emlPath;
+}
+
+/**
+ * Send the newsletter to the digest type's subscribers, one message each.
+ * A failed recipient doesn't stop the others; returns { sent, failed }, with
+ * failed listing each recipient's error.
+ */
+async function sendNewsletter(digest, config, transport = null) {
+  const subscribers = config.subscribers?.[digest.type] || [];
+  if (subscribers.length === 0) {
+    console.log(`  ℹ No ${digest.type} subscribers configured`);
+    return { sent: [], failed: [] };
+  }
+  if (!transport && !config.smtp.host) {
+    throw new Error('No SMTP host configured (set smtp.host or SMTP_HOST)');
+  }
+
+  transport = transport || nodemailer.createTransport(config.smtp);
+  const sent = [];
+  const failed = [];
+  for (const recipient of subscribers) {
+    try {
+      await transport.sendMail(buildMessage(digest, config, [recipient]));
+      sent.push(recipient);
+      console.log(`  ✉ Sent to ${recipient}`);
+    } catch (error) {
+      failed.push({ recipient, error: error.message });
+      console.error(`  ✗ ${recipient}: ${error.message}`);
+    }
+  }
+  return { sent, failed };
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = { type: 'weekly', id: null, profile: null, send: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--daily') options.type = 'daily';
+    else if (arg === '--weekly') options.type = 'weekly';
+    else if (arg === '--monthly') options.type = 'monthly';
+    else if (arg === '--send') options.send = true;
+    else if (arg === '--id' && args[i + 1]) options.id = args[++i];
+    else if (arg === '--profile' && args[i + 1]) options.profile = args[++i];
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs();
+  const config = await loadConfig();
+  const dataDir = options.profile ? path.join(DATA_DIR, 'profiles', options.profile) : DATA_DIR;
+  const outputDir = options.profile ? path.join(OUTPUT_DIR, 'profiles', options.profile) : OUTPUT_DIR;
+
+  // Default to the latest digest of the requested type
+  let id = options.id;
+  if (!id) {
+    const index = await readIndex(path.join(dataDir, 'index.json'));
+    id = index[options.type]?.[0]?.id;
+    if (!id) throw new Error(`No ${options.type} digests in index.json`);
+  }
+
+  const digest = applyOverrides(await readDigest(path.join(dataDir, options.type, `${id}.json`)), overridesFor(id));
+  digest.type = digest.type || options.type;
+
+  console.log(`Rendering ${options.type} newsletter ${id}...`);
+  const emlPath = await writeNewsletter(digest, config, outputDir);
+  console.log(`✓ ${path.relative(process.cwd(), emlPath)}`);
+
+  if (options.send) {
+    const { sent, failed } = await sendNewsletter(digest, config);
+    console.log(`✓ Sent to ${sent.length} subscriber${sent.length !== 1 ? 's' : ''}`);
+    // Fail the run so CI and cron notice a bad host, credentials or address
+    if (failed.length > 0) {
+      throw new Error(`✗ Failed to send to ${failed.length} subscriber${failed.length !== 1 ? 's' : ''}: ${failed.map(f => f.recipient).join(', ')}`);
+    }
+  }
+}
+
+if (require.main === module) {
+  main().catch(e => { console.error(e.message); process.exit(1); });
+}
+
+module.exports = {
+  loadConfig,
+  renderHTML,
+  renderText,
+  buildMessage,
+  writeNewsletter,
+  sendNewsletter
+};
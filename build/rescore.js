@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Rescore Preview
+ * Rebuilds the latest daily digest from the article store with the current
+ * keywords and scoring config, prints how it differs from the saved digest
+ * and renders it to public/preview/rescored.html. Nothing in data/ is
+ * written, so it is safe to run on every config edit while tuning.
+ *
+ * Usage: node build/rescore.js [--day YYYY-MM-DD]  (default: the newest daily digest's day)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { DATA_DIR, generateDailyDigest, loadDigest } = require('../scraper/index');
+const { loadSourceArticles, diffDigests } = require('../scraper/regenerate');
+const { enrichDigest } = require('../scraper/enrich');
+const { editorialDay, dayId, periodOf } = require('../scraper/dates');
+const { readIndex } = require('../scraper/data-format');
+const { PUBLIC_DIR, generateDigestPage } = require('./generate');
+
+const PREVIEW_FILE = path.join(PUBLIC_DIR, 'preview', 'rescored.html');
+
+/**
+ * Day of the newest daily digest, or the current editorial day if there is none
+ */
+async function latestDay() {
+  try {
+    const index = await readIndex(path.join(DATA_DIR, 'index.json'));
+    if (index.daily[0]) return periodOf('daily', index.daily[0].date).first;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  return editorialDay();
+}
+
+/**
+ * Rescore one day and write the preview page. Returns the rescored digest.
+ */
+async function rescore(day) {
+  const articles = await loadSourceArticles(day, day);
+  const digest = await generateDailyDigest(day, articles);
+  await enrichDigest(digest, { offline: true });
+  digest.title = `${digest.title} (rescored preview)`;
+
+  const saved = await loadDigest('daily', digest.id);
+  console.log(`\ndaily/${digest.id} rescored`);
+  for (const line of diffDigests(saved, digest)) console.log(`    ${line}`);
+
+  await fs.mkdir(path.dirname(PREVIEW_FILE), { recursive: true });
+  await fs.writeFile(PREVIEW_FILE, await generateDigestPage(digest, 'daily'));
+  console.log(`✓ ${path.relative(path.join(__dirname, '..'), PREVIEW_FILE)}`);
+  return digest;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dayArg = args.indexOf('--day');
+  let day = await latestDay();
+  if (dayArg !== -1) {
+    day = periodOf('daily', args[dayArg + 1] || '')?.first;
+    if (!day) throw new Error('--day takes a date like 2026-03-05');
+  }
+  console.log(`Rescoring ${dayId(day)} with the current config...`);
+  await rescore(day);
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch(e => { console.error(e.message); process.exit(1); });
+}
+
+module.exports = {
+  PREVIEW_FILE,
+  latestDay,
+  rescore
+};
@@ -0,0 +1,92 @@
+/**
+ * Search Index Generator for Big Tech News
+ * Builds a compact, month-sharded index of every story in the daily archive
+ * so the client can search it without downloading everything up front.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { CATEGORIES } = require('../scraper/sources');
+
+// Positions of fields in each compact record (kept in sync with templates/search.js)
+const FIELDS = ['title', 'link', 'source', 'category', 'score', 'date', 'digest', 'keywords'];
+
+/**
+ * Build the manifest and shards from loaded daily digests.
+ * Sources and categories are stored once in the manifest and referenced by index.
+ */
+function buildSearchIndex(dailyDigests) {
+  const sources = [];
+  const sourceIndex = new Map();
+  const categories = Object.keys(CATEGORIES);
+  const shards = {};
+  const seen = new Set();
+
+  for (const digest of dailyDigests) {
+    const stories = [
+      ...(digest.highlights || []),
+      ...Object.values(digest.byCategory || {}).flat()
+    ];
+    const date = digest.date || '';
+    const shardId = date.slice(0, 7) || 'undated';
+
+    for (const story of stories) {
+      if (!story.link || seen.has(story.link)) continue;
+      seen.add(story.link);
+
+      if (!sourceIndex.has(story.source)) {
+        sourceIndex.set(story.source, sources.length);
+        sources.push(story.source);
+      }
+
+      if (!shards[shardId]) shards[shardId] = [];
+      shards[shardId].push([
+        story.title,
+        story.link,
+        sourceIndex.get(story.source),
+        categories.indexOf(story.category),
+        story.relevanceScore || 0,
+        date,
+        digest.id,
+        (story.matchedKeywords || []).join(' ')
+      ]);
+    }
+  }
+
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    fields: FIELDS,
+    sources,
+    categories: categories.map(key => ({ key, name: CATEGORIES[key].name, icon: CATEGORIES[key].icon })),
+    shards: Object.entries(shards)
+      .sort((a, b) => b[0].localeCompare(a[0]))
+      .map(([id, records]) => {
+        const dates = records.map(r => r[5]).filter(Boolean).sort();
+        return { id, count: records.length, from: dates[0] || null, to: dates[dates.length - 1] || null };
+      })
+  };
+
+  return { manifest, shards };
+}
+
+/**
+ * Write the manifest and one JSON file per monthly shard under public/search/
+ */
+async function writeSearchIndex(publicDir, dailyDigests) {
+  const { manifest, shards } = buildSearchIndex(dailyDigests);
+  const dir = path.join(publicDir, 'search');
+  await fs.mkdir(dir, { recursive: true });
+
+  for (const [id, records] of Object.entries(shards)) {
+    await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(records));
+  }
+  await fs.writeFile(path.join(dir, 'manifest.json'), JSON.stringify(manifest));
+
+  return manifest;
+}
+
+module.exports = {
+  FIELDS,
+  buildSearchIndex,
+  writeSearchIndex
+};
@@ -0,0 +1,270 @@
+/**
+ * Share Cards and Structured Metadata for Big Tech News
+ * Renders a 1200×630 share card per digest (SVG, rasterized to PNG offline
+ * with resvg) showing its top headlines and their category icons, the Open
+ * Graph, Twitter and schema.org JSON-LD tags that point link previews at it,
+ * and sitemap.xml. Cards only use the fonts and icons shipped as npm
+ * dependencies, so they render the same on every machine.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Resvg } = require('@resvg/resvg-js');
+const { CATEGORIES, OTHER_CATEGORY } = require('../scraper/sources');
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const CARD_HEADLINES = 3;
+
+// Font stack for card text; resvg falls back through it per glyph (Noto Sans JP covers Japanese and Chinese)
+const CARD_FONTS = "Inter, 'Noto Sans JP'";
+
+const packageDir = name => path.dirname(require.resolve(`${name}/package.json`));
+
+// The weights the card uses, from the bundled font packages
+const FONT_FILES = [
+  ['@expo-google-fonts/inter', 'Inter', ['400Regular', '600SemiBold', '700Bold']],
+  ['@expo-google-fonts/noto-sans-jp', 'NotoSansJP', ['400Regular', '600SemiBold']]
+].flatMap(([pkg, prefix, weights]) => weights.map(weight => path.join(packageDir(pkg), weight, `${prefix}_${weight}.ttf`)));
+
+// Extra font directories, e.g. for scripts the bundled fonts don't cover
+const FONT_DIRS = (process.env.SHARE_CARD_FONT_DIRS || '').split(path.delimiter).filter(Boolean);
+
+// Lucide icon drawn for each category (categories not listed get the "other" icon)
+const CARD_ICONS = {
+  ai: 'brain-circuit',
+  chips_cloud: 'cpu',
+  robotics: 'bot',
+  ev_autonomous: 'car',
+  space: 'rocket',
+  regulation: 'scale',
+  business: 'trending-up',
+  crypto: 'bitcoin',
+  [OTHER_CATEGORY]: 'newspaper'
+};
+const ICONS_DIR = path.join(packageDir('lucide-static'), 'icons');
+const iconShapes = new Map();
+
+const TYPE_LABELS = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+const DESCRIPTION_LENGTH = 200;
+
+function xml(text) {
+  if (text === null || text === undefined) return '';
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * The shapes of a category's icon: the inside of its 24×24 Lucide SVG, drawn
+ * with strokes, so no emoji font is needed
+ */
+function iconSVG(categoryKey) {
+  const name = CARD_ICONS[categoryKey] || CARD_ICONS[OTHER_CATEGORY];
+  if (!iconShapes.has(name)) {
+    const svg = fs.readFileSync(path.join(ICONS_DIR, `${name}.svg`), 'utf-8');
+    const inner = svg.slice(svg.indexOf('>', svg.indexOf('<svg')) + 1, svg.lastIndexOf('</svg>'));
+    iconShapes.set(name, inner.trim().split(/\s*\n\s*/).join(''));
+  }
+  return iconShapes.get(name);
+}
+
+/**
+ * Rough rendered width of text in ems: wide (CJK) characters count double
+ */
+function textWidth(text) {
+  let width = 0;
+  for (const char of text) width += /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\uff00-\uff60]/.test(char) ? 1 : 0.6;
+  return width;
+}
+
+/**
+ * Break text into at most maxLines lines of about maxWidth ems, ending with
+ * an ellipsis when it doesn't fit. Text without spaces (Japanese, Chinese)
+ * breaks between characters.
+ */
+function wrapText(text, maxWidth, maxLines) {
+  const tokens = text.split(/(\s+)/).flatMap(token => (textWidth(token) > maxWidth ? [...token] : [token]));
+  const lines = [''];
+  for (const token of tokens) {
+    const line = lines[lines.length - 1];
+    if (textWidth(line + token) <= maxWidth) lines[lines.length - 1] = line + token;
+    else if (lines.length < maxLines) lines.push(token.trimStart());
+    else {
+      lines[lines.length - 1] = `${line.trimEnd().replace(/[\s,.:;–—-]+$/, '')}…`;
+      return lines;
+    }
+  }
+  return lines.map(line => line.trimEnd());
+}
+
+/**
+ * The share card for a digest as an SVG document
+ */
+function renderCardSVG(digest, type, siteTitle) {
+  const stories = (digest.highlights || []).slice(0, CARD_HEADLINES);
+  const count = digest.totalArticles || 0;
+
+  const rows = stories.map((story, i) => {
+    const category = CATEGORIES[story.category] ? story.category : OTHER_CATEGORY;
+    const y = 290 + i * 112;
+    const lines = wrapText(story.title.trim(), 32, 2).map((line, j) =>
+      `<tspan x="150" y="${y + 34 + j * 38}">${xml(line)}</tspan>`).join('');
+    return `
+  <rect x="60" y="${y - 6}" width="64" height="64" rx="14" fill="#18181b"/>
+  <g transform="translate(74 ${y + 8}) scale(1.5)" fill="none" stroke="#fafafa" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${iconSVG(category)}</g>
+  <text x="150" y="${y + 4}" font-size="18" font-weight="600" fill="#71717a" letter-spacing="1">${xml(CATEGORIES[category].name.toUpperCase())}</text>
+  <text font-size="30" font-weight="600" fill="#fafafa">${lines}</text>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="${xml(CARD_FONTS)}">
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="#0a0a0a"/>
+  <rect width="${CARD_WIDTH}" height="8" fill="#3b82f6"/>
+  <text x="60" y="84" font-size="28" font-weight="700" fill="#fafafa">${xml(siteTitle)}</text>
+  <text x="1140" y="84" font-size="24" fill="#a1a1aa" text-anchor="end">${count} stor${count !== 1 ? 'ies' : 'y'}</text>
+  <text x="60" y="150" font-size="24" font-weight="600" fill="#3b82f6" letter-spacing="2">${xml(`${TYPE_LABELS[type] || ''} Digest`.toUpperCase())} · ${xml(digest.dateRange)}</text>
+  <text x="60" y="222" font-size="60" font-weight="700" fill="#fafafa">${xml(digest.title)}</text>${rows}
+</svg>
+`;
+}
+
+/**
+ * Rasterize a share card to PNG with the bundled fonts (plus SHARE_CARD_FONT_DIRS);
+ * system fonts are never used
+ */
+function renderCardPNG(svg) {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'original' },
+    font: { loadSystemFonts: false, fontFiles: FONT_FILES, fontDirs: FONT_DIRS, defaultFontFamily: 'Inter' }
+  });
+  return resvg.render().asPng();
+}
+
+/**
+ * Public URL of a digest page and of its share card
+ */
+function digestUrls(digest, type, siteUrl) {
+  return {
+    page: `${siteUrl}/${type}/${digest.id}.html`,
+    card: `${siteUrl}/cards/${type}/${digest.id}.png`
+  };
+}
+
+/**
+ * One-line summary of a digest for link previews: its top headlines
+ */
+function digestDescription(digest) {
+  const headlines = (digest.highlights || []).slice(0, CARD_HEADLINES).map(story => story.title.trim()).join(' · ');
+  const text = `${digest.totalArticles || 0} stories. ${headlines}`;
+  return text.length <= DESCRIPTION_LENGTH ? text : `${text.slice(0, DESCRIPTION_LENGTH - 1).trimEnd()}…`;
+}
+
+/**
+ * schema.org JSON-LD for a digest page: the digest as a NewsArticle and its
+ * highlights as an ItemList of the linked stories
+ */
+function digestJsonLd(digest, type, { siteUrl, siteTitle }) {
+  const urls = digestUrls(digest, type, siteUrl);
+  const headline = `${TYPE_LABELS[type] || ''} Digest: ${digest.title}`.trim();
+  return {
+    '@context': 'https://schema.org',
+    '@graph': [
+      {
+        '@type': 'NewsArticle',
+        '@id': `${urls.page}#digest`,
+        headline,
+        description: digestDescription(digest),
+        url: urls.page,
+        mainEntityOfPage: urls.page,
+        image: [urls.card],
+        datePublished: digest.generatedAt,
+        dateModified: digest.generatedAt,
+        inLanguage: 'en',
+        publisher: { '@type': 'Organization', name: siteTitle, url: `${siteUrl}/` },
+        mainEntity: { '@id': `${urls.page}#highlights` }
+      },
+      {
+        '@type': 'ItemList',
+        '@id': `${urls.page}#highlights`,
+        name: `${headline} highlights`,
+        numberOfItems: (digest.highlights || []).length,
+        itemListElement: (digest.highlights || []).map((story, i) => ({
+          '@type': 'ListItem',
+          position: i + 1,
+          url: story.link,
+          name: story.title.trim()
+        }))
+      }
+    ]
+  };
+}
+
+/**
+ * Open Graph, Twitter card and JSON-LD tags for a digest page's <head>
+ */
+function digestMetaHTML(digest, type, site) {
+  const urls = digestUrls(digest, type, site.siteUrl);
+  const title = `${digest.title} — ${TYPE_LABELS[type] || ''} Digest`;
+  const description = digestDescription(digest);
+  const alt = `${site.siteTitle} ${(TYPE_LABELS[type] || '').toLowerCase()} digest for ${digest.dateRange}`;
+  // "<" is escaped so a headline can't close the script element
+  const jsonLd = JSON.stringify(digestJsonLd(digest, type, site)).replace(/</g, '\\u003c');
+
+  return [
+    `<meta name="description" content="${xml(description)}">`,
+    `<link rel="canonical" href="${xml(urls.page)}">`,
+    '<meta property="og:type" content="article">',
+    `<meta property="og:site_name" content="${xml(site.siteTitle)}">`,
+    `<meta property="og:title" content="${xml(title)}">`,
+    `<meta property="og:description" content="${xml(description)}">`,
+    `<meta property="og:url" content="${xml(urls.page)}">`,
+    `<meta property="og:image" content="${xml(urls.card)}">`,
+    `<meta property="og:image:width" content="${CARD_WIDTH}">`,
+    `<meta property="og:image:height" content="${CARD_HEIGHT}">`,
+    `<meta property="og:image:alt" content="${xml(alt)}">`,
+    `<meta property="article:published_time" content="${xml(digest.generatedAt)}">`,
+    '<meta name="twitter:card" content="summary_large_image">',
+    `<meta name="twitter:title" content="${xml(title)}">`,
+    `<meta name="twitter:description" content="${xml(description)}">`,
+    `<meta name="twitter:image" content="${xml(urls.card)}">`,
+    `<meta name="twitter:image:alt" content="${xml(alt)}">`,
+    `<script type="application/ld+json">${jsonLd}</script>`
+  ].join('\n  ');
+}
+
+/**
+ * sitemap.xml listing the homepage and every daily, weekly and monthly digest page
+ */
+function renderSitemap(siteUrl, digests) {
+  const entries = [];
+  let latest = '';
+  for (const type of ['daily', 'weekly', 'monthly']) {
+    for (const digest of digests[type] || []) {
+      const lastmod = (digest.generatedAt || '').slice(0, 10);
+      if (lastmod > latest) latest = lastmod;
+      entries.push({ loc: digestUrls(digest, type, siteUrl).page, lastmod, changefreq: type === 'daily' ? 'weekly' : 'monthly' });
+    }
+  }
+  entries.unshift({ loc: `${siteUrl}/`, lastmod: latest, changefreq: 'daily' });
+
+  const urls = entries.map(entry => `  <url>
+    <loc>${xml(entry.loc)}</loc>${entry.lastmod ? `
+    <lastmod>${entry.lastmod}</lastmod>` : ''}
+    <changefreq>${entry.changefreq}</changefreq>
+  </url>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+module.exports = {
+  CARD_WIDTH,
+  CARD_HEIGHT,
+  wrapText,
+  renderCardSVG,
+  renderCardPNG,
+  digestUrls,
+  digestJsonLd,
+  digestMetaHTML,
+  renderSitemap
+};
@@ -0,0 +1,81 @@
+// Big Tech News - client-side archive search
+// Loads search/manifest.json, then only the monthly shards a query needs.
+(function () {
+  const shardCache = {};
+  let manifestPromise = null;
+
+  function loadManifest(base) {
+    if (!manifestPromise) {
+      manifestPromise = fetch(`${base}search/manifest.json`).then(r => r.json());
+    }
+    return manifestPromise;
+  }
+
+  function loadShard(base, id) {
+    if (!shardCache[id]) {
+      shardCache[id] = fetch(`${base}search/${id}.json`).then(r => r.json());
+    }
+    return shardCache[id];
+  }
+
+  // Read filters from a URL query string (?q=&from=&to=&source=&category=&min=)
+  function parseQuery(search) {
+    const params = new URLSearchParams(search);
+    return {
+      q: params.get('q') || '',
+      from: params.get('from') || '',
+      to: params.get('to') || '',
+      source: params.get('source') || '',
+      category: params.get('category') || '',
+      min: params.get('min') || ''
+    };
+  }
+
+  function toQuery(filters) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) params.set(key, value);
+    }
+    return params.toString();
+  }
+
+  // Run a search. Options: base (path prefix to the site root), maxShards (newest shards only)
+  async function search(filters, options = {}) {
+    const base = options.base || '';
+    const manifest = await loadManifest(base);
+    const terms = (filters.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const minScore = Number(filters.min) || 0;
+    const categoryIndex = filters.category
+      ? manifest.categories.findIndex(c => c.key === filters.category)
+      : null;
+
+    // Skip shards entirely outside the date range
+    let shards = manifest.shards.filter(s =>
+      (!filters.from || !s.to || s.to >= filters.from) &&
+      (!filters.to || !s.from || s.from <= filters.to)
+    );
+    if (options.maxShards) shards = shards.slice(0, options.maxShards);
+
+    const records = (await Promise.all(shards.map(s => loadShard(base, s.id)))).flat();
+
+    const results = [];
+    for (const [title, link, sourceIdx, categoryIdx, score, date, digest, keywords] of records) {
+      const source = manifest.sources[sourceIdx] || '';
+      if (filters.source && source !== filters.source) continue;
+      if (categoryIndex !== null && categoryIdx !== categoryIndex) continue;
+      if (score < minScore) continue;
+      if (filters.from && date < filters.from) continue;
+      if (filters.to && date > filters.to) continue;
+      if (terms.length > 0) {
+        const text = `${title} ${source} ${keywords}`.toLowerCase();
+        if (!terms.every(t => text.includes(t))) continue;
+      }
+      results.push({ title, link, source, category: manifest.categories[categoryIdx] || null, score, date, digest });
+    }
+
+    results.sort((a, b) => b.date.localeCompare(a.date) || b.score - a.score);
+    return results;
+  }
+
+  window.BigTechSearch = { loadManifest, parseQuery, toQuery, search };
+})();
@@ -0,0 +1,237 @@
+/**
+ * Trend Analysis for Big Tech News
+ * Counts how many stories mention each company and topic per day, week and
+ * month across the daily archive, compares each period with the one before
+ * and flags spikes against a longer baseline.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  format, parseISO, startOfDay, startOfISOWeek, startOfMonth,
+  addDays, addWeeks, addMonths, differenceInCalendarDays, getISOWeek, getISOWeekYear, min
+} = require('date-fns');
+const { BIG_TECH_COMPANIES, RELEVANT_TOPICS } = require('../scraper/sources');
+const { SCORING, compileTerms, matchTerms } = require('../scraper/scoring');
+const { editorialDay } = require('../scraper/dates');
+
+// A term spikes when it has at least this many mentions and at least
+// SPIKE_FACTOR times its average over the previous BASELINE_PERIODS periods
+const SPIKE_MIN_MENTIONS = 3;
+const SPIKE_FACTOR = 2;
+const BASELINE_PERIODS = 4;
+
+// Periods of history kept per term for sparklines
+const SERIES_LENGTH = 12;
+
+const PERIODS = {
+  day: {
+    start: startOfDay,
+    shift: addDays,
+    id: date => format(date, 'yyyy-MM-dd'),
+    label: date => format(date, 'EEEE, MMM d')
+  },
+  week: {
+    start: startOfISOWeek,
+    shift: addWeeks,
+    id: date => `${getISOWeekYear(date)}-W${String(getISOWeek(date)).padStart(2, '0')}`,
+    label: date => `Week ${getISOWeek(date)}, ${getISOWeekYear(date)}`
+  },
+  month: {
+    start: startOfMonth,
+    shift: addMonths,
+    id: date => format(date, 'yyyy-MM'),
+    label: date => format(date, 'MMMM yyyy')
+  }
+};
+
+// Company and topic matchers per story language, so translated mentions count too
+const matchersByLanguage = new Map();
+function trendMatchers(language = 'en') {
+  if (!matchersByLanguage.has(language)) {
+    matchersByLanguage.set(language, {
+      company: compileTerms(BIG_TECH_COMPANIES, SCORING, language),
+      topic: compileTerms(RELEVANT_TOPICS, SCORING, language)
+    });
+  }
+  return matchersByLanguage.get(language);
+}
+
+/**
+ * Count stories mentioning each term per day. Each story is counted once,
+ * on the day of the first digest it appeared in.
+ * Returns { kinds: Map term → kind, days: Map 'yyyy-MM-dd' → Map term → count }.
+ */
+function countMentions(dailyDigests) {
+  const kinds = new Map();
+  const days = new Map();
+  const seen = new Set();
+
+  const chronological = [...dailyDigests].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  for (const digest of chronological) {
+    if (!digest.date) continue;
+    const stories = [...(digest.highlights || []), ...Object.values(digest.byCategory || {}).flat()];
+
+    for (const story of stories) {
+      if (!story.link || seen.has(story.link)) continue;
+      seen.add(story.link);
+
+      const text = `${story.title || ''} ${story.description || ''}`;
+      for (const [kind, matchers] of Object.entries(trendMatchers(story.language))) {
+        for (const term of matchTerms(text, matchers)) {
+          if (!kinds.has(term)) kinds.set(term, kind);
+          if (!days.has(digest.date)) days.set(digest.date, new Map());
+          const counts = days.get(digest.date);
+          counts.set(term, (counts.get(term) || 0) + 1);
+        }
+      }
+    }
+  }
+
+  return { kinds, days };
+}
+
+/**
+ * Total mentions per term between two dates (inclusive)
+ */
+function countWindow(days, from, to) {
+  const totals = new Map();
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    for (const [term, count] of days.get(format(date, 'yyyy-MM-dd')) || []) {
+      totals.set(term, (totals.get(term) || 0) + count);
+    }
+  }
+  return totals;
+}
+
+/**
+ * The window `back` periods before the one containing asOf. Windows cover the
+ * same number of days as the elapsed part of the current period, so a
+ * half-finished week is compared with the first half of the week before.
+ */
+function periodWindow(period, asOf, back) {
+  const current = period.start(asOf);
+  const elapsed = differenceInCalendarDays(asOf, current);
+  const from = period.shift(current, -back);
+  const to = min([addDays(from, elapsed), addDays(period.shift(from, 1), -1)]);
+  return { from, to };
+}
+
+/**
+ * Trend table for the period containing asOf: every term mentioned in it or
+ * in the previous period, with the change and a spike flag
+ */
+function buildPeriodTrends(name, mentions, asOf) {
+  const period = PERIODS[name];
+  const windows = Array.from({ length: Math.max(SERIES_LENGTH, BASELINE_PERIODS + 1) }, (_, back) => {
+    const window = periodWindow(period, asOf, back);
+    return { ...window, counts: countWindow(mentions.days, window.from, window.to) };
+  });
+  const [current, previous] = windows;
+
+  // Full periods for the sparkline, oldest first, ending with the current one
+  const series = windows.slice(0, SERIES_LENGTH).reverse().map((w, i, all) => {
+    if (i === all.length - 1) return w.counts;
+    const from = w.from;
+    return countWindow(mentions.days, from, addDays(period.shift(from, 1), -1));
+  });
+
+  const terms = new Set([...current.counts.keys(), ...previous.counts.keys()]);
+  const rows = [...terms].map(term => {
+    const count = current.counts.get(term) || 0;
+    const before = previous.counts.get(term) || 0;
+    const baseline = windows.slice(1, BASELINE_PERIODS + 1)
+      .reduce((sum, w) => sum + (w.counts.get(term) || 0), 0) / BASELINE_PERIODS;
+
+    return {
+      term,
+      kind: mentions.kinds.get(term),
+      count,
+      previous: before,
+      change: count - before,
+      changePct: before > 0 ? Math.round(((count - before) / before) * 100) : null,
+      baseline: Math.round(baseline * 10) / 10,
+      spike: count >= SPIKE_MIN_MENTIONS && count >= SPIKE_FACTOR * Math.max(baseline, 1),
+      series: series.map(counts => counts.get(term) || 0)
+    };
+  });
+
+  rows.sort((a, b) => b.count - a.count || b.change - a.change || a.term.localeCompare(b.term));
+
+  return {
+    id: period.id(asOf),
+    label: period.label(asOf),
+    from: format(current.from, 'yyyy-MM-dd'),
+    to: format(current.to, 'yyyy-MM-dd'),
+    previousFrom: format(previous.from, 'yyyy-MM-dd'),
+    previousTo: format(previous.to, 'yyyy-MM-dd'),
+    terms: rows
+  };
+}
+
+/**
+ * Mentions per term for every period from the start of the archive up to
+ * asOf: { ids: [periodId, ...], counts: { term: [count per period] } }
+ */
+function buildHistory(name, mentions, firstDay, asOf) {
+  const period = PERIODS[name];
+  const ids = [];
+  const counts = Object.fromEntries([...mentions.kinds.keys()].map(term => [term, []]));
+
+  for (let from = period.start(parseISO(firstDay)); from <= asOf; from = period.shift(from, 1)) {
+    const totals = countWindow(mentions.days, from, addDays(period.shift(from, 1), -1));
+    ids.push(period.id(from));
+    for (const term of Object.keys(counts)) counts[term].push(totals.get(term) || 0);
+  }
+  return { ids, counts };
+}
+
+/**
+ * Trends for the day, week and month containing asOf, plus the per-period
+ * history of every term across the archive
+ */
+function buildTrends(dailyDigests, asOf = editorialDay()) {
+  const mentions = countMentions(dailyDigests);
+  const dates = [...mentions.days.keys()].sort();
+  const history = name => (dates.length > 0 ? buildHistory(name, mentions, dates[0], asOf) : { ids: [], counts: {} });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    asOf: format(asOf, 'yyyy-MM-dd'),
+    archive: { from: dates[0] || null, to: dates[dates.length - 1] || null },
+    kinds: Object.fromEntries(mentions.kinds),
+    day: buildPeriodTrends('day', mentions, asOf),
+    week: buildPeriodTrends('week', mentions, asOf),
+    month: buildPeriodTrends('month', mentions, asOf),
+    history: { day: history('day'), week: history('week'), month: history('month') }
+  };
+}
+
+/**
+ * Terms mentioned more than in the previous period, biggest gain first
+ */
+function risingTerms(periodTrends, limit = 5) {
+  return periodTrends.terms
+    .filter(t => t.change > 0)
+    .sort((a, b) => b.change - a.change || b.count - a.count || a.term.localeCompare(b.term))
+    .slice(0, limit);
+}
+
+/**
+ * Write public/trends.json with the full trend tables
+ */
+async function writeTrends(publicDir, dailyDigests, asOf = editorialDay()) {
+  const trends = buildTrends(dailyDigests, asOf);
+  await fs.writeFile(path.join(publicDir, 'trends.json'), JSON.stringify(trends));
+  return trends;
+}
+
+module.exports = {
+  SPIKE_MIN_MENTIONS,
+  SPIKE_FACTOR,
+  BASELINE_PERIODS,
+  countMentions,
+  buildTrends,
+  risingTerms,
+  writeTrends
+};
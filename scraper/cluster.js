@@ -0,0 +1,198 @@
+/**
+ * Story Clustering
+ * Groups articles covering the same story across sources using word-shingle
+ * similarity over title and description, limited to a publication time window.
+ */
+
+const { DEFAULT_LANGUAGE } = require('./sources-config');
+
+// Articles further apart than this are never treated as the same story
+const CLUSTER_WINDOW_HOURS = 48;
+
+// Minimum similarity for an article to join an existing story. A source rarely
+// covers the same story twice, so same-source matches need much closer wording
+// (this keeps recurring series like "9to5Mac Daily" from collapsing together).
+const SIMILARITY_THRESHOLD = 0.22;
+const SAME_SOURCE_THRESHOLD = 0.5;
+
+// Title overlap matters more than description overlap
+const TITLE_WEIGHT = 0.6;
+
+// Scripts written without spaces between words; runs of them are split into character bigrams
+const CJK_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}ー]+/gu;
+
+// Ranking bonus per additional source covering a story, and its cap
+const COVERAGE_BONUS = 2;
+const MAX_COVERAGE_BONUS = 6;
+
+// English only, like the plural stripping in tokenize
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'could', 'for',
+  'from', 'has', 'have', 'how', 'in', 'into', 'is', 'it', 'its', 'just', 'more', 'new',
+  'not', 'now', 'of', 'on', 'or', 'over', 'says', 'said', 'that', 'the', 'their', 'this',
+  'to', 'up', 'was', 'what', 'when', 'which', 'who', 'why', 'will', 'with', 'would', 'after',
+  'about', 'than', 'they', 'you', 'your', 'report', 'reportedly', 'according'
+]);
+
+/**
+ * Character bigrams of each CJK run in a word, other parts kept as words
+ */
+function splitCJK(word) {
+  const parts = [];
+  let last = 0;
+  for (const match of word.matchAll(CJK_RUN)) {
+    if (match.index > last) parts.push(word.slice(last, match.index));
+    const chars = [...match[0]];
+    if (chars.length === 1) parts.push(chars[0]);
+    for (let i = 0; i < chars.length - 1; i++) parts.push(chars[i] + chars[i + 1]);
+    last = match.index + match[0].length;
+  }
+  if (last < word.length) parts.push(word.slice(last));
+  return parts;
+}
+
+/**
+ * Split text into normalized content words. Letters of every script are
+ * kept; stopwords and possessive and plural endings are only removed from
+ * English text.
+ */
+function tokenize(text, language = DEFAULT_LANGUAGE) {
+  const english = language === 'en';
+  let clean = (text || '').toLowerCase().replace(/<[^>]*>/g, ' ');
+  if (english) clean = clean.replace(/[’']s\b/g, '');
+  return clean
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .split(/[\s-]+/)
+    .flatMap(splitCJK)
+    .filter(w => w.length > 1 && !(english && STOPWORDS.has(w)))
+    .map(w => (english && w.length > 4 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+}
+
+/**
+ * Build the shingle set for a piece of text: single words plus adjacent word pairs
+ */
+function shingles(text, language) {
+  const words = tokenize(text, language);
+  const set = new Set(words);
+  for (let i = 0; i < words.length - 1; i++) {
+    set.add(`${words[i]} ${words[i + 1]}`);
+  }
+  return set;
+}
+
+/**
+ * Jaccard similarity of two sets
+ */
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  for (const item of small) {
+    if (large.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Similarity of two prepared articles, between 0 and 1
+ */
+function similarity(a, b) {
+  return TITLE_WEIGHT * jaccard(a.titleShingles, b.titleShingles) +
+    (1 - TITLE_WEIGHT) * jaccard(a.textShingles, b.textShingles);
+}
+
+function publishedTime(article) {
+  const time = new Date(article.published).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Cluster scored articles into stories.
+ * Articles are visited from highest to lowest score, so the best-scoring
+ * article of each story becomes its lead. Returns stories sorted by their
+ * coverage-adjusted relevance score.
+ */
+function clusterStories(articles) {
+  const windowMs = CLUSTER_WINDOW_HOURS * 60 * 60 * 1000;
+  const clusters = [];
+
+  const prepared = [...articles]
+    .sort((a, b) => b.relevanceScore - a.relevanceScore)
+    .map(article => ({
+      article,
+      time: publishedTime(article),
+      titleShingles: shingles(article.title, article.language),
+      textShingles: shingles(`${article.title} ${(article.description || '').substring(0, 500)}`, article.language)
+    }));
+
+  for (const item of prepared) {
+    let best = null;
+    let bestSimilarity = 0;
+
+    for (const cluster of clusters) {
+      for (const member of cluster) {
+        if (item.time !== null && member.time !== null && Math.abs(item.time - member.time) > windowMs) continue;
+        const score = similarity(item, member);
+        const threshold = item.article.source === member.article.source ? SAME_SOURCE_THRESHOLD : SIMILARITY_THRESHOLD;
+        if (score >= threshold && score > bestSimilarity) {
+          best = cluster;
+          bestSimilarity = score;
+        }
+      }
+    }
+
+    if (best) best.push(item);
+    else clusters.push([item]);
+  }
+
+  return clusters
+    .map(cluster => toStory(cluster.map(item => item.article)))
+    .sort((a, b) => b.relevanceScore - a.relevanceScore);
+}
+
+/**
+ * Turn a cluster of articles into a story led by its best-scoring article
+ */
+function toStory(members) {
+  const [lead] = members;
+  const sourceNames = new Set(members.map(a => a.source));
+  const coverageBonus = Math.min((sourceNames.size - 1) * COVERAGE_BONUS, MAX_COVERAGE_BONUS);
+
+  const matchedKeywords = [...(lead.matchedKeywords || [])];
+  for (const member of members.slice(1)) {
+    for (const keyword of member.matchedKeywords || []) {
+      if (!matchedKeywords.includes(keyword)) matchedKeywords.push(keyword);
+    }
+  }
+
+  const scoreBreakdown = [...(lead.scoreBreakdown || [])];
+  if (coverageBonus > 0) {
+    scoreBreakdown.push({ rule: 'coverage', term: `${sourceNames.size} sources`, points: coverageBonus });
+  }
+
+  return {
+    ...lead,
+    articleScore: lead.relevanceScore,
+    relevanceScore: lead.relevanceScore + coverageBonus,
+    scoreBreakdown,
+    matchedKeywords: matchedKeywords.slice(0, 5),
+    coverage: sourceNames.size,
+    sources: members.map(a => ({
+      title: a.title,
+      link: a.link,
+      source: a.source,
+      sourceKey: a.sourceKey,
+      published: a.published
+    }))
+  };
+}
+
+module.exports = {
+  CLUSTER_WINDOW_HOURS,
+  SIMILARITY_THRESHOLD,
+  SAME_SOURCE_THRESHOLD,
+  tokenize,
+  shingles,
+  jaccard,
+  clusterStories
+};
@@ -0,0 +1,167 @@
+/**
+ * Digest Data Format
+ * Reads, upgrades and validates the digest and index.json files in data/
+ * against config/digest.schema.json and config/index.schema.json.
+ * Files written before the format was versioned have no schemaVersion and
+ * are read as version 0; older files are upgraded in memory when read.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { validateSchema, loadSchema } = require('./schema');
+const { OTHER_CATEGORY } = require('./sources-config');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DIGEST_SCHEMA_PATH = path.join(ROOT_DIR, 'config', 'digest.schema.json');
+const INDEX_SCHEMA_PATH = path.join(ROOT_DIR, 'config', 'index.schema.json');
+
+const DATA_SCHEMA_VERSION = 2;
+
+/**
+ * Version 2 gives every story weighted category labels and files stories
+ * without a category under "other". Before it, uncategorized stories were
+ * only kept if they made the highlights, so those are added to "other".
+ */
+function labelCategories(data) {
+  if (!data.byCategory || typeof data.byCategory !== 'object') return { ...data, schemaVersion: 2 };
+
+  const label = story => {
+    if (!story || typeof story !== 'object') return story;
+    const category = story.category || OTHER_CATEGORY;
+    return { ...story, category, categories: story.categories || [{ key: category, confidence: 1 }] };
+  };
+  const labelAll = stories => Array.isArray(stories) ? stories.map(label) : stories;
+
+  const highlights = labelAll(data.highlights);
+  const byCategory = Object.fromEntries(Object.entries(data.byCategory).map(([key, stories]) => [key, labelAll(stories)]));
+  const filed = new Set(Object.values(byCategory).filter(Array.isArray).flat().map(story => story?.link));
+  const unfiled = Array.isArray(highlights) ? highlights.filter(story => story?.category === OTHER_CATEGORY && !filed.has(story.link)) : [];
+  if (unfiled.length > 0) byCategory[OTHER_CATEGORY] = [...(byCategory[OTHER_CATEGORY] || []), ...unfiled];
+
+  return { ...data, schemaVersion: 2, highlights, byCategory };
+}
+
+// Upgrade steps from each version to the next; version 0 already has the version 1 shape
+const MIGRATIONS = {
+  0: data => ({ schemaVersion: 1, ...data }),
+  1: labelCategories
+};
+
+/**
+ * Path of a data file as shown in messages, e.g. data/daily/2026-03-05.json
+ */
+function label(file) {
+  return path.relative(ROOT_DIR, file);
+}
+
+/**
+ * Bring a parsed digest or index up to the current schemaVersion.
+ * Throws for files written by a newer version of the code.
+ */
+function upgradeData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data;
+  let version = data.schemaVersion ?? 0;
+  if (typeof version === 'number' && version > DATA_SCHEMA_VERSION) {
+    throw new Error(`schemaVersion ${version} is newer than the supported ${DATA_SCHEMA_VERSION}; update the code`);
+  }
+  while (MIGRATIONS[version]) {
+    data = MIGRATIONS[version](data);
+    version = data.schemaVersion;
+  }
+  return data;
+}
+
+/**
+ * Schema errors in a digest, including the fields its type requires
+ */
+function validateDigest(digest, schema = loadSchema(DIGEST_SCHEMA_PATH)) {
+  const errors = validateSchema(digest, schema);
+  const typeSchema = schema.definitions[digest?.type];
+  if (typeSchema) errors.push(...validateSchema(digest, typeSchema, '', schema));
+  return errors;
+}
+
+function validateIndex(index, schema = loadSchema(INDEX_SCHEMA_PATH)) {
+  return validateSchema(index, schema);
+}
+
+function invalid(what, file, errors) {
+  return new Error(`Invalid ${what} ${label(file)}:\n  ${errors.join('\n  ')}`);
+}
+
+/**
+ * Everything wrong with a digest stored at `file`: schema errors, and an id
+ * that doesn't match the file name
+ */
+function digestErrors(digest, file) {
+  const errors = validateDigest(digest);
+  const id = path.basename(file, '.json');
+  if (digest?.id && digest.id !== id) errors.push(`id: "${digest.id}" does not match the file name "${id}.json"`);
+  return errors;
+}
+
+/**
+ * Throw listing every problem unless a digest is valid to store at `file`
+ */
+function assertDigest(digest, file) {
+  const errors = digestErrors(digest, file);
+  if (errors.length > 0) throw invalid('digest', file, errors);
+}
+
+function assertIndex(index, file) {
+  const errors = validateIndex(index);
+  if (errors.length > 0) throw invalid('index', file, errors);
+}
+
+/**
+ * Parse and upgrade the text of a data file, throwing on syntax errors and newer versions
+ */
+function parseData(text, what, file) {
+  try {
+    return upgradeData(JSON.parse(text));
+  } catch (error) {
+    throw invalid(what, file, [error.message]);
+  }
+}
+
+/**
+ * Parse, upgrade and validate the text of a digest file
+ */
+function parseDigest(text, file) {
+  const digest = parseData(text, 'digest', file);
+  assertDigest(digest, file);
+  return digest;
+}
+
+function parseIndex(text, file) {
+  const index = parseData(text, 'index', file);
+  assertIndex(index, file);
+  return index;
+}
+
+/**
+ * Read a digest file. A missing file rejects with the usual ENOENT error.
+ */
+async function readDigest(file) {
+  return parseDigest(await fs.readFile(file, 'utf-8'), file);
+}
+
+async function readIndex(file) {
+  return parseIndex(await fs.readFile(file, 'utf-8'), file);
+}
+
+module.exports = {
+  DATA_SCHEMA_VERSION,
+  DIGEST_SCHEMA_PATH,
+  INDEX_SCHEMA_PATH,
+  upgradeData,
+  validateDigest,
+  validateIndex,
+  digestErrors,
+  assertDigest,
+  assertIndex,
+  parseDigest,
+  parseIndex,
+  readDigest,
+  readIndex
+};
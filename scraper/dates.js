@@ -0,0 +1,176 @@
+/**
+ * Editorial Calendar
+ * Digest periods and IDs follow the calendar of one editorial timezone
+ * (config/editorial.json, or EDITORIAL_TIMEZONE), whatever timezone the
+ * scraper or build happens to run in.
+ *
+ * Calendar days are represented as plain Dates at local midnight, so date-fns
+ * can do the calendar arithmetic; editorialRange() turns them into the real
+ * instants at which that day starts and ends in the editorial timezone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  format, parseISO, isValid, addDays, addMonths, startOfISOWeek,
+  getISOWeek, getISOWeekYear, setISOWeek
+} = require('date-fns');
+
+const EDITORIAL_CONFIG_PATH = path.join(__dirname, '..', 'config', 'editorial.json');
+const DEFAULT_TIMEZONE = 'Europe/Amsterdam';
+
+const ID_PATTERNS = {
+  daily: /^(\d{4})-(\d{2})-(\d{2})$/,
+  weekly: /^(\d{4})-W(\d{2})$/,
+  monthly: /^(\d{4})-(\d{2})$/
+};
+
+/**
+ * Whether Intl knows the timezone name
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The editorial timezone: EDITORIAL_TIMEZONE, else config/editorial.json, else Europe/Amsterdam
+ */
+function loadTimeZone(file = EDITORIAL_CONFIG_PATH) {
+  let timeZone = process.env.EDITORIAL_TIMEZONE;
+  if (!timeZone) {
+    try {
+      timeZone = JSON.parse(fs.readFileSync(file, 'utf-8')).timezone;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Invalid editorial config ${file}: ${error.message}`);
+    }
+  }
+  timeZone = timeZone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timeZone)) throw new Error(`Unknown editorial timezone "${timeZone}"`);
+  return timeZone;
+}
+
+const TIMEZONE = loadTimeZone();
+
+const formatters = new Map();
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ */
+function zonedParts(instant, timeZone = TIMEZONE) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return Object.fromEntries(formatters.get(timeZone).formatToParts(instant)
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+}
+
+/**
+ * Milliseconds the timezone's wall clock is ahead of UTC at an instant
+ */
+function timeZoneOffset(instant, timeZone = TIMEZONE) {
+  const p = zonedParts(instant, timeZone);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wall - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * The editorial timezone's wall-clock time at an instant, as a plain Date for formatting
+ */
+function editorialTime(instant = new Date(), timeZone = TIMEZONE) {
+  const p = zonedParts(instant, timeZone);
+  return new Date(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+}
+
+/**
+ * The calendar day an instant falls on in the editorial timezone
+ */
+function editorialDay(instant = new Date(), timeZone = TIMEZONE) {
+  const p = zonedParts(instant, timeZone);
+  return new Date(p.year, p.month - 1, p.day);
+}
+
+/**
+ * The instant a calendar day starts in the editorial timezone
+ */
+function startOfEditorialDay(day, timeZone = TIMEZONE) {
+  const wall = Date.UTC(day.getFullYear(), day.getMonth(), day.getDate());
+  const guess = wall - timeZoneOffset(new Date(wall), timeZone);
+  // The offset at the guess differs when a DST change lies between it and midnight
+  return new Date(wall - timeZoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Instants covering the calendar days first through last (inclusive)
+ */
+function editorialRange(first, last = first, timeZone = TIMEZONE) {
+  return {
+    start: startOfEditorialDay(first, timeZone),
+    end: new Date(startOfEditorialDay(addDays(last, 1), timeZone).getTime() - 1)
+  };
+}
+
+/**
+ * Digest IDs: 2026-02-05 (daily), 2026-W06 (ISO week), 2026-02 (monthly)
+ */
+function dayId(day) {
+  return format(day, 'yyyy-MM-dd');
+}
+
+function weekId(day) {
+  return `${getISOWeekYear(day)}-W${String(getISOWeek(day)).padStart(2, '0')}`;
+}
+
+function monthId(day) {
+  return format(day, 'yyyy-MM');
+}
+
+/**
+ * First and last calendar day of the period a digest ID names, or null for
+ * an ID that isn't in the current format
+ */
+function periodOf(type, id) {
+  const match = ID_PATTERNS[type]?.exec(id);
+  if (!match) return null;
+  const [year, number] = match.slice(1).map(Number);
+
+  if (type === 'daily') {
+    const day = parseISO(id);
+    return isValid(day) ? { first: day, last: day } : null;
+  }
+  if (type === 'weekly') {
+    const first = startOfISOWeek(setISOWeek(new Date(year, 0, 4), number));
+    return getISOWeekYear(first) === year && getISOWeek(first) === number
+      ? { first, last: addDays(first, 6) }
+      : null;
+  }
+  if (number < 1 || number > 12) return null;
+  const first = new Date(year, number - 1, 1);
+  return { first, last: addDays(addMonths(first, 1), -1) };
+}
+
+module.exports = {
+  EDITORIAL_CONFIG_PATH,
+  TIMEZONE,
+  ID_PATTERNS,
+  isValidTimeZone,
+  zonedParts,
+  editorialTime,
+  editorialDay,
+  startOfEditorialDay,
+  editorialRange,
+  dayId,
+  weekId,
+  monthId,
+  periodOf
+};
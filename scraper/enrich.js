@@ -0,0 +1,440 @@
+/**
+ * Article Enrichment
+ * Fetches the pages of highlighted stories and extracts their main text and
+ * Open Graph metadata (image, author, published time), then writes a short
+ * extractive summary. Results are cached per link in data/enrich-cache.json,
+ * which is committed with the rest of data/: the cache keeps only what's
+ * derived from a page (summary, metadata and the score of its text), never the
+ * publisher's article text itself.
+ * Pages disallowed by robots.txt are skipped and requests to the same domain
+ * are spaced out.
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const fs = require('fs').promises;
+const path = require('path');
+const { USER_AGENT, TRANSIENT_STATUSES } = require('./fetcher');
+const { canonicalLink } = require('./store');
+const { tokenize } = require('./cluster');
+const { calculateRelevance } = require('./scoring');
+const { rankStories } = require('./overrides');
+const { sleep } = require('./util');
+
+const CACHE_FILE = path.join(__dirname, '..', 'data', 'enrich-cache.json');
+
+// robots.txt product token matched against User-agent lines
+const ROBOTS_AGENT = 'bigtechnews';
+
+const DEFAULT_OPTIONS = {
+  offline: false,        // only apply cached results, never fetch
+  concurrency: 2,        // pages fetched at the same time (across domains)
+  timeout: 15000,        // per request, in ms
+  domainDelay: 2000,     // minimum gap between requests to one domain, in ms
+  maxCrawlDelay: 10000,  // cap on a robots.txt Crawl-delay, in ms
+  summarySentences: 3,
+  cacheDays: 90,         // cache entries older than this are dropped
+  cacheFile: CACHE_FILE
+};
+
+// Elements that never hold the article body
+const BOILERPLATE = 'script, style, noscript, template, svg, nav, header, footer, aside, form, iframe, figure, figcaption, button, [role="navigation"], [aria-hidden="true"]';
+
+// Paragraphs shorter than this are usually captions, bylines or buttons
+const MIN_PARAGRAPH_LENGTH = 40;
+
+// The fields of a cache entry that are written to disk
+const CACHED_FIELDS = ['fetchedAt', 'status', 'httpStatus', 'error', 'image', 'author', 'published', 'description', 'summary', 'textRelevance'];
+
+/**
+ * Whether a User-agent value names our product token. Compared as whole
+ * tokens, case-insensitively; a version after "/" is ignored.
+ */
+function isOurAgent(agent) {
+  return agent.split('/')[0].trim() === ROBOTS_AGENT;
+}
+
+/**
+ * Parse robots.txt into the rules that apply to us: those of every group
+ * naming our agent if there is one, otherwise those of the `*` groups
+ */
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+
+  for (const raw of (text || '').split(/\r?\n/)) {
+    const line = raw.replace(/#.*/, '').trim();
+    const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!match) continue;
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || current.rules.length > 0 || current.crawlDelay !== null) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+    } else if (current && (field === 'allow' || field === 'disallow')) {
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (current && field === 'crawl-delay') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds)) current.crawlDelay = seconds;
+    }
+  }
+
+  const ours = groups.filter(g => g.agents.some(isOurAgent));
+  const matching = ours.length > 0 ? ours : groups.filter(g => g.agents.includes('*'));
+  return {
+    rules: matching.flatMap(g => g.rules),
+    crawlDelay: matching.map(g => g.crawlDelay).find(delay => delay !== null) ?? null
+  };
+}
+
+/**
+ * Whether robots rules allow a path. The longest matching rule wins and Allow
+ * wins ties; `*` matches any characters and a trailing `$` anchors the end.
+ */
+function robotsAllows(robots, pathname) {
+  let best = null;
+  for (const rule of robots.rules) {
+    const anchored = rule.path.endsWith('$');
+    const pattern = (anchored ? rule.path.slice(0, -1) : rule.path)
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\\\*/g, '.*');
+    if (!new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(pathname)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+/**
+ * Resolve a possibly relative URL against the page URL
+ */
+function absoluteUrl(value, base) {
+  if (!value) return null;
+  try {
+    return new URL(value, base).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pick the element holding the article body: an <article> or main content
+ * landmark if it has real paragraphs, otherwise the parent with the most
+ * paragraph text
+ */
+function findMainElement($) {
+  const paragraphText = el => $(el).find('p').toArray()
+    .map(p => $(p).text().trim())
+    .filter(text => text.length >= MIN_PARAGRAPH_LENGTH)
+    .join(' ').length;
+
+  for (const selector of ['article', '[itemprop="articleBody"]', 'main', '[role="main"]']) {
+    const candidates = $(selector).toArray().sort((a, b) => paragraphText(b) - paragraphText(a));
+    if (candidates.length > 0 && paragraphText(candidates[0]) > 200) return $(candidates[0]);
+  }
+
+  const totals = new Map();
+  $('p').each((_, p) => {
+    const length = $(p).text().trim().length;
+    if (length < MIN_PARAGRAPH_LENGTH || !p.parent) return;
+    totals.set(p.parent, (totals.get(p.parent) || 0) + length);
+  });
+  const best = [...totals.entries()].sort((a, b) => b[1] - a[1])[0];
+  return best ? $(best[0]) : $('body');
+}
+
+/**
+ * Extract main text and Open Graph metadata from an article page
+ */
+function extractPage(html, url) {
+  const $ = cheerio.load(html);
+  const meta = (...names) => {
+    for (const name of names) {
+      const value = $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+      if (value && value.trim()) return value.trim();
+    }
+    return null;
+  };
+
+  // article:author is often a profile URL rather than a name
+  const authorMeta = meta('article:author', 'author', 'twitter:creator', 'parsely-author');
+  const author = authorMeta && !/^https?:\/\//.test(authorMeta)
+    ? authorMeta
+    : $('[rel="author"], [itemprop="author"] [itemprop="name"], [itemprop="author"]').first().text().trim() || null;
+
+  const published = meta('article:published_time', 'og:published_time', 'pubdate', 'parsely-pub-date')
+    || $('time[datetime]').first().attr('datetime')
+    || null;
+
+  const image = absoluteUrl(meta('og:image:secure_url', 'og:image', 'twitter:image', 'twitter:image:src'), url);
+  const description = meta('og:description', 'description', 'twitter:description');
+
+  $(BOILERPLATE).remove();
+  const main = findMainElement($);
+  const text = main.find('p').toArray()
+    .map(p => $(p).text().replace(/\s+/g, ' ').trim())
+    .filter(p => p.length >= MIN_PARAGRAPH_LENGTH)
+    .join('\n\n');
+
+  return { image, author, published, description, text };
+}
+
+/**
+ * Split text into sentences, dropping fragments and run-ons
+ */
+function splitSentences(text) {
+  return (text || '')
+    .split(/\n+|(?<=[.!?][”"’)]?)\s+(?=[A-Z“"‘(])/)
+    .map(s => s.trim())
+    .filter(s => s.length >= 40 && s.length <= 400);
+}
+
+/**
+ * Extractive summary: the sentences whose words are most frequent across the
+ * text, with a bonus for early sentences and for matched keywords, in their
+ * original order
+ */
+function summarize(text, { sentences: count = 3, keywords = [] } = {}) {
+  const sentences = splitSentences(text);
+  if (sentences.length <= count) return sentences.join(' ');
+
+  const frequency = new Map();
+  for (const word of tokenize(text)) frequency.set(word, (frequency.get(word) || 0) + 1);
+  const top = Math.max(...frequency.values());
+  const keywordWords = new Set(keywords.flatMap(keyword => tokenize(keyword)));
+
+  const scored = sentences.map((sentence, index) => {
+    const words = tokenize(sentence);
+    if (words.length === 0) return { sentence, index, score: 0 };
+    const weight = words.reduce((sum, w) => sum + (frequency.get(w) || 0) / top, 0) / words.length;
+    const keywordHits = words.filter(w => keywordWords.has(w)).length;
+    const position = index === 0 ? 0.3 : index < 3 ? 0.15 : 0;
+    return { sentence, index, score: weight + position + 0.1 * Math.min(keywordHits, 3) };
+  });
+
+  return scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .sort((a, b) => a.index - b.index)
+    .map(s => s.sentence)
+    .join(' ');
+}
+
+async function loadCache(file) {
+  if (!file) return {};
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`  ⚠ Could not read enrich cache: ${error.message}`);
+    return {};
+  }
+}
+
+async function saveCache(file, cache, maxAgeDays) {
+  if (!file) return;
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const kept = Object.fromEntries(Object.entries(cache)
+    .filter(([, entry]) => new Date(entry.fetchedAt).getTime() >= cutoff)
+    .map(([key, entry]) => [key, Object.fromEntries(CACHED_FIELDS.filter(field => entry[field] !== undefined).map(field => [field, entry[field]]))]));
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(kept, null, 2));
+}
+
+/**
+ * Create a fetcher that checks robots.txt once per origin and spaces out
+ * requests to the same host
+ */
+function createPageFetcher(options) {
+  const robotsByOrigin = new Map();
+  const nextSlot = new Map();
+  const get = url => axios.get(url, {
+    timeout: options.timeout,
+    responseType: 'text',
+    headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml' },
+    maxContentLength: 5 * 1024 * 1024,
+    validateStatus: () => true
+  });
+
+  // Reserve the next free slot for a host and wait for it
+  async function waitForHost(host, delay) {
+    const now = Date.now();
+    const at = Math.max(now, nextSlot.get(host) || 0);
+    nextSlot.set(host, at + delay);
+    if (at > now) await sleep(at - now);
+  }
+
+  async function robotsFor(url) {
+    if (!robotsByOrigin.has(url.origin)) {
+      robotsByOrigin.set(url.origin, (async () => {
+        await waitForHost(url.host, options.domainDelay);
+        try {
+          const response = await get(`${url.origin}/robots.txt`);
+          if (response.status >= 500) return { rules: [{ allow: false, path: '/' }], crawlDelay: null };
+          return response.status >= 400 ? { rules: [], crawlDelay: null } : parseRobots(response.data);
+        } catch {
+          // Unreachable robots.txt: assume the site doesn't want to be crawled right now
+          return { rules: [{ allow: false, path: '/' }], crawlDelay: null };
+        }
+      })());
+    }
+    return robotsByOrigin.get(url.origin);
+  }
+
+  return async function fetchPage(link) {
+    const url = new URL(link);
+    const robots = await robotsFor(url);
+    if (!robotsAllows(robots, url.pathname + url.search)) {
+      return { status: 'blocked', httpStatus: null };
+    }
+
+    const crawlDelay = Math.min((robots.crawlDelay || 0) * 1000, options.maxCrawlDelay);
+    await waitForHost(url.host, Math.max(options.domainDelay, crawlDelay));
+
+    const response = await get(link);
+    if (response.status >= 400) return { status: 'http-error', httpStatus: response.status };
+    if (typeof response.data !== 'string' || !/html/i.test(response.headers['content-type'] || 'html')) {
+      return { status: 'not-html', httpStatus: response.status };
+    }
+    return { status: 'ok', httpStatus: response.status, html: response.data, url: response.request?.res?.responseUrl || link };
+  };
+}
+
+/**
+ * Fetch and extract one article page into a cache entry. The page text is
+ * scored here, together with the story's title and description, so the cache
+ * only needs the resulting score.
+ */
+async function enrichLink(story, fetchPage, options) {
+  const entry = { fetchedAt: new Date().toISOString(), status: 'ok', httpStatus: null };
+  try {
+    const page = await fetchPage(story.link);
+    entry.status = page.status;
+    entry.httpStatus = page.httpStatus;
+    if (page.status !== 'ok') return entry;
+
+    const extracted = extractPage(page.html, page.url);
+    const { score, reasons, breakdown } = calculateRelevance({
+      ...story,
+      description: `${story.description || ''} ${extracted.text}`
+    });
+    return {
+      ...entry,
+      image: extracted.image,
+      author: extracted.author,
+      published: extracted.published,
+      description: extracted.description,
+      summary: summarize(extracted.text, { sentences: options.summarySentences, keywords: story.matchedKeywords || [] }),
+      ...(extracted.text && { textRelevance: { score, reasons, breakdown } })
+    };
+  } catch (error) {
+    return { ...entry, status: 'network-error', error: error.code || error.message };
+  }
+}
+
+/**
+ * Whether a failed fetch is worth retrying on a later run
+ */
+function isRetryable(entry) {
+  return entry.status === 'network-error' || TRANSIENT_STATUSES.has(entry.httpStatus);
+}
+
+/**
+ * Merge an enrichment result into a story and re-score it with the score of
+ * its page text. The story keeps its coverage bonus on top of the new article score.
+ */
+function applyEnrichment(story, entry) {
+  if (entry.summary) story.summary = entry.summary;
+  if (entry.author) story.author = entry.author;
+  if (!story.image && entry.image) story.image = entry.image;
+  if (!story.published && entry.published) story.published = entry.published;
+
+  const description = (story.description || '').replace(/<[^>]*>/g, '').trim();
+  if (entry.description && entry.description.length > description.length) {
+    story.description = entry.description;
+  }
+
+  const relevance = entry.textRelevance;
+  if (relevance) {
+    // Profile boosts are part of the article score but not of the page text's
+    const profileBoosts = (story.scoreBreakdown || []).filter(b => b.rule === 'profile');
+    const score = relevance.score + profileBoosts.reduce((sum, b) => sum + b.points, 0);
+    if (score > (story.articleScore || 0)) {
+      const bonus = (story.relevanceScore || 0) - (story.articleScore || 0);
+      story.articleScore = score;
+      story.relevanceScore = score + bonus;
+      story.matchedKeywords = relevance.reasons;
+      story.scoreBreakdown = [
+        ...relevance.breakdown,
+        ...profileBoosts,
+        ...(story.scoreBreakdown || []).filter(b => b.rule === 'coverage')
+      ];
+    }
+  }
+  story.enriched = true;
+}
+
+/**
+ * Enrich a digest's highlights in place: apply cached results, fetch pages
+ * for links not yet cached (unless offline), then re-rank the highlights and
+ * categories with the updated scores. Returns the number of stories enriched.
+ */
+async function enrichDigest(digest, options = {}) {
+  options = { ...DEFAULT_OPTIONS, ...options };
+  const stories = digest.highlights || [];
+  if (stories.length === 0) return 0;
+
+  const cache = await loadCache(options.cacheFile);
+  const pending = stories.filter(story => {
+    const cached = cache[canonicalLink(story.link)];
+    return !cached || isRetryable(cached);
+  });
+
+  if (!options.offline && pending.length > 0) {
+    console.log(`  🔎 Enriching ${pending.length} stories...`);
+    const fetchPage = createPageFetcher(options);
+    const queue = [...pending];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const story = queue.shift();
+        const entry = await enrichLink(story, fetchPage, options);
+        cache[canonicalLink(story.link)] = entry;
+        if (entry.status !== 'ok') console.error(`  ⚠ ${story.source}: ${entry.status}${entry.httpStatus ? ` (HTTP ${entry.httpStatus})` : ''}`);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(options.concurrency, queue.length) }, worker));
+    await saveCache(options.cacheFile, cache, options.cacheDays);
+  }
+
+  let enriched = 0;
+  for (const story of stories) {
+    const entry = cache[canonicalLink(story.link)];
+    if (entry?.status === 'ok') {
+      applyEnrichment(story, entry);
+      enriched++;
+    }
+  }
+
+  // Scores may have changed; keep rankings consistent (sort is stable) and pinned stories in place
+  const byScore = (a, b) => b.relevanceScore - a.relevanceScore;
+  digest.highlights = rankStories(stories.sort(byScore));
+  for (const articles of Object.values(digest.byCategory || {})) articles.sort(byScore);
+
+  if (enriched > 0) console.log(`  🔎 Enriched ${enriched}/${stories.length} highlights`);
+  return enriched;
+}
+
+module.exports = {
+  CACHE_FILE,
+  DEFAULT_OPTIONS,
+  parseRobots,
+  robotsAllows,
+  extractPage,
+  summarize,
+  enrichDigest
+};
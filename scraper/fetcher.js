@@ -0,0 +1,285 @@
+/**
+ * Feed Fetcher
+ * Fetches RSS/Atom feeds concurrently with retries for transient errors,
+ * ETag/Last-Modified conditional requests cached between runs, and an overall
+ * time budget so one slow feed can't stall the run.
+ */
+
+const Parser = require('rss-parser');
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const { detectLanguage } = require('./language');
+const { sleep } = require('./util');
+
+const CACHE_FILE = path.join(__dirname, '..', 'data', 'feed-cache.json');
+const USER_AGENT = 'BigTechNews/1.0 (News Aggregator)';
+
+const DEFAULT_OPTIONS = {
+  concurrency: 4,        // feeds fetched at the same time
+  timeout: 15000,        // per request, in ms
+  retries: 2,            // extra attempts for transient errors
+  retryDelay: 1000,      // first backoff in ms, doubled on each retry
+  budget: 120000,        // whole fetch run, in ms
+  cacheFile: CACHE_FILE  // conditional GET validators; null disables caching
+};
+
+// HTTP statuses and network errors worth retrying
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT']);
+
+const parser = new Parser();
+
+/**
+ * Extract image from RSS entry
+ */
+function extractImage(entry) {
+  // Check enclosure (common in RSS feeds)
+  if (entry.enclosure?.url && entry.enclosure.type?.startsWith('image/')) {
+    return entry.enclosure.url;
+  }
+
+  // Check media:content
+  if (entry['media:content']?.$.url) {
+    return entry['media:content'].$.url;
+  }
+
+  // Check media:thumbnail
+  if (entry['media:thumbnail']?.$.url) {
+    return entry['media:thumbnail'].$.url;
+  }
+
+  // Try to find image in content/description
+  const content = entry.content || entry['content:encoded'] || entry.description || '';
+  const imgMatch = content.match(/<img[^>]+src=["']([^"']+)["']/i);
+  if (imgMatch) {
+    return imgMatch[1];
+  }
+
+  return null;
+}
+
+/**
+ * Newest publication date among fetched articles, or null
+ */
+function newestPublished(articles) {
+  const times = articles.filter(a => a.published).map(a => new Date(a.published).getTime()).filter(t => !Number.isNaN(t));
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * Load cached ETag/Last-Modified validators, keyed by source
+ */
+async function loadCache(file) {
+  if (!file) return {};
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`  ⚠ Could not read feed cache: ${error.message}`);
+    return {};
+  }
+}
+
+async function saveCache(file, cache) {
+  if (!file) return;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * Delay before the next attempt: exponential backoff, or Retry-After when the server sends one
+ */
+function backoffDelay(attempt, options, response) {
+  const retryAfter = Number(response?.headers?.['retry-after']);
+  const delay = options.retryDelay * 2 ** attempt;
+  return Number.isFinite(retryAfter) && retryAfter > 0 ? Math.max(delay, retryAfter * 1000) : delay;
+}
+
+function budgetExhausted(attempts) {
+  const error = new Error('Fetch budget exhausted');
+  error.code = 'EBUDGET';
+  error.attempts = attempts;
+  return error;
+}
+
+/**
+ * GET a feed, retrying transient failures until retries or the deadline run out.
+ * Resolves with the final response; rejects with the final network error, or
+ * with EBUDGET when the budget ran out first (including mid-request).
+ */
+async function requestFeed(url, headers, options, deadline) {
+  for (let attempt = 0; ; attempt++) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) throw budgetExhausted(attempt);
+
+    let response = null;
+    let failure = null;
+    try {
+      response = await axios.get(url, {
+        timeout: Math.min(options.timeout, remaining),
+        responseType: 'text',
+        headers,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      // A request whose timeout was shortened to fit the budget was cut off by the budget
+      if (remaining < options.timeout && Date.now() >= deadline) throw budgetExhausted(attempt + 1);
+      failure = error;
+    }
+
+    const transient = failure
+      ? TRANSIENT_CODES.has(failure.code)
+      : TRANSIENT_STATUSES.has(response.status);
+    const delay = backoffDelay(attempt, options, response);
+
+    if (!transient || attempt >= options.retries || Date.now() + delay >= deadline) {
+      if (failure) {
+        failure.attempts = attempt + 1;
+        throw failure;
+      }
+      return { response, attempts: attempt + 1 };
+    }
+    await sleep(delay);
+  }
+}
+
+/**
+ * Fetch RSS feed from a source.
+ * Returns the articles plus a health record describing how the fetch went.
+ * A 304 Not Modified returns no articles: everything in the feed is already in the store.
+ */
+async function fetchFeed(sourceKey, source, options = {}, cache = {}, deadline = Infinity) {
+  options = { ...DEFAULT_OPTIONS, ...options };
+  const started = Date.now();
+  const health = { name: source.name, status: 'ok', httpStatus: null, error: null, attempts: 0, itemCount: 0, newestItem: null, latencyMs: 0 };
+
+  const cached = cache[sourceKey];
+  const headers = { 'User-Agent': USER_AGENT };
+  if (cached?.url === source.rss) {
+    if (cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+  }
+
+  let body;
+  try {
+    const { response, attempts } = await requestFeed(source.rss, headers, options, deadline);
+    health.attempts = attempts;
+    health.httpStatus = response.status;
+    if (response.status === 304) {
+      health.status = 'not-modified';
+      health.newestItem = cached?.newestItem || null;
+    } else if (response.status >= 400) {
+      health.status = 'http-error';
+      health.error = `HTTP ${response.status}`;
+    } else {
+      body = response.data;
+      cache[sourceKey] = {
+        url: source.rss,
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null
+      };
+    }
+  } catch (error) {
+    health.status = error.code === 'EBUDGET' ? 'skipped' : 'network-error';
+    health.error = error.code || error.message;
+    health.attempts = error.attempts || 0;
+  }
+
+  let articles = [];
+  if (body !== undefined) {
+    try {
+      const feed = await parser.parseString(body);
+      articles = feed.items.map(entry => {
+        const title = entry.title || '';
+        const description = entry.contentSnippet || entry.content || entry.description || '';
+        return {
+          title,
+          link: entry.link || '',
+          description,
+          // Left empty when the feed has no date; the store decides what that means
+          published: entry.isoDate || entry.pubDate || null,
+          source: source.name,
+          sourceKey: sourceKey,
+          priority: source.priority || 2,
+          language: detectLanguage(`${title} ${description}`, source.language || 'en'),
+          region: source.region || null,
+          image: extractImage(entry)
+        };
+      });
+      health.newestItem = newestPublished(articles);
+      cache[sourceKey].newestItem = health.newestItem;
+    } catch (error) {
+      health.status = 'parse-error';
+      health.error = error.message.split('\n')[0];
+      // Don't let a validator for a broken body turn the next run into a 304
+      delete cache[sourceKey];
+    }
+  }
+
+  health.latencyMs = Date.now() - started;
+  health.itemCount = articles.length;
+  return { articles, health };
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * Fetch all feeds. Returns every fetched article and a health record per source key.
+ */
+async function fetchAllFeeds(sources, options = {}) {
+  options = { ...DEFAULT_OPTIONS, ...options };
+  console.log(`Fetching feeds from all sources (concurrency ${options.concurrency}, budget ${Math.round(options.budget / 1000)}s)...`);
+
+  const cache = await loadCache(options.cacheFile);
+  const deadline = Date.now() + options.budget;
+  const entries = Object.entries(sources);
+
+  const fetched = await mapWithConcurrency(entries, options.concurrency, async ([key, source]) => {
+    const result = await fetchFeed(key, source, options, cache, deadline);
+    const { health } = result;
+
+    const retried = health.attempts > 1 ? `, ${health.attempts} attempts` : '';
+    if (health.status === 'ok') {
+      console.log(`  📥 ${source.name}: ${health.itemCount} articles (${health.latencyMs} ms${retried})`);
+    } else if (health.status === 'not-modified') {
+      console.log(`  📥 ${source.name}: not modified (${health.latencyMs} ms)`);
+    } else {
+      console.error(`  ⚠ ${source.name}: ${health.error}${retried}`);
+    }
+    return result;
+  });
+
+  // Keep source order regardless of which feed finished first
+  const allArticles = fetched.flatMap(result => result.articles);
+  const results = Object.fromEntries(entries.map(([key], i) => [key, fetched[i].health]));
+
+  await saveCache(options.cacheFile, cache);
+
+  console.log(`\n📊 Total fetched: ${allArticles.length} articles`);
+  return { articles: allArticles, results };
+}
+
+module.exports = {
+  CACHE_FILE,
+  USER_AGENT,
+  DEFAULT_OPTIONS,
+  TRANSIENT_STATUSES,
+  TRANSIENT_CODES,
+  extractImage,
+  fetchFeed,
+  fetchAllFeeds
+};
@@ -0,0 +1,118 @@
+/**
+ * Source Health
+ * Records the outcome of every feed fetch in data/health.json and flags
+ * sources that keep failing or have stopped publishing new items.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const HEALTH_FILE = path.join(__dirname, '..', 'data', 'health.json');
+
+// Flag a source after this many failed runs in a row
+const FAILURE_THRESHOLD = 3;
+
+// Flag a source whose newest item is older than this
+const STALE_AFTER_DAYS = 3;
+
+// Number of past runs kept per source
+const HISTORY_LENGTH = 30;
+
+/**
+ * Load the health file, or an empty one if it doesn't exist yet
+ */
+async function loadHealth() {
+  try {
+    return JSON.parse(await fs.readFile(HEALTH_FILE, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`  ⚠ Could not read health.json: ${error.message}`);
+    return { lastUpdated: null, sources: {} };
+  }
+}
+
+/**
+ * Whether a fetch result counts as a successful run (a 304 means the feed is alive)
+ */
+function isSuccess(result) {
+  return result.status === 'ok' || result.status === 'not-modified';
+}
+
+/**
+ * Work out which warnings apply to a source given its latest state
+ */
+function computeFlags(entry, now = new Date()) {
+  const flags = [];
+  if (entry.consecutiveFailures >= FAILURE_THRESHOLD) {
+    flags.push('failing');
+  }
+  const newest = entry.newestItem ? new Date(entry.newestItem) : null;
+  if (newest && now - newest > STALE_AFTER_DAYS * 24 * 60 * 60 * 1000) {
+    flags.push('stale');
+  }
+  if (entry.lastRun?.status === 'ok' && entry.lastRun.itemCount === 0) {
+    flags.push('empty');
+  }
+  return flags;
+}
+
+/**
+ * Merge the results of one run into the health file.
+ * `results` maps source key to { name, status, httpStatus, error, itemCount, newestItem, latencyMs }.
+ */
+async function recordHealth(results, now = new Date()) {
+  const health = await loadHealth();
+  const checkedAt = now.toISOString();
+
+  for (const [key, result] of Object.entries(results)) {
+    const previous = health.sources[key] || { consecutiveFailures: 0, history: [] };
+    const ok = isSuccess(result);
+    // A source skipped because the fetch budget ran out says nothing about its health
+    const failures = ok ? 0 : result.status === 'skipped'
+      ? previous.consecutiveFailures || 0
+      : (previous.consecutiveFailures || 0) + 1;
+
+    const entry = {
+      name: result.name,
+      lastRun: {
+        status: result.status,
+        httpStatus: result.httpStatus ?? null,
+        error: result.error || null,
+        attempts: result.attempts ?? null,
+        itemCount: result.itemCount,
+        newestItem: result.newestItem,
+        latencyMs: result.latencyMs,
+        checkedAt
+      },
+      consecutiveFailures: failures,
+      lastSuccess: ok ? checkedAt : previous.lastSuccess || null,
+      newestItem: [result.newestItem, previous.newestItem].filter(Boolean).sort().pop() || null,
+      history: [
+        { checkedAt, status: result.status, itemCount: result.itemCount, latencyMs: result.latencyMs },
+        ...(previous.history || [])
+      ].slice(0, HISTORY_LENGTH)
+    };
+    entry.flags = computeFlags(entry, now);
+    health.sources[key] = entry;
+  }
+
+  health.lastUpdated = checkedAt;
+  await fs.mkdir(path.dirname(HEALTH_FILE), { recursive: true });
+  await fs.writeFile(HEALTH_FILE, JSON.stringify(health, null, 2));
+
+  const flagged = Object.entries(health.sources).filter(([key, entry]) => results[key] && entry.flags.length > 0);
+  for (const [, entry] of flagged) {
+    console.error(`  ⚠ ${entry.name}: ${entry.flags.join(', ')}`);
+  }
+
+  return health;
+}
+
+module.exports = {
+  HEALTH_FILE,
+  FAILURE_THRESHOLD,
+  STALE_AFTER_DAYS,
+  loadHealth,
+  isSuccess,
+  computeFlags,
+  recordHealth
+};
@@ -4,30 +4,26 @@
  * Aggregates news from major tech sources with daily, weekly, and monthly digests
  */
 
-const Parser = require('rss-parser');
 const fs = require('fs').promises;
 const path = require('path');
-const { format, subDays, subWeeks, subMonths, isWithinInterval, parseISO, startOfDay, endOfDay, startOfWeek, endOfWeek, startOfMonth, endOfMonth, getISOWeek, getISOWeekYear } = require('date-fns');
-const { 
-  SOURCES, 
-  HIGH_IMPACT_KEYWORDS, 
-  BIG_TECH_COMPANIES, 
-  RELEVANT_TOPICS, 
-  EXCLUDED_PATTERNS, 
-  CATEGORIES 
-} = require('./sources');
+const { format, addDays, addMonths, subDays, subWeeks, subMonths, isWithinInterval, parseISO, startOfISOWeek, endOfISOWeek, startOfMonth, endOfMonth, getISOWeek, getISOWeekYear, min } = require('date-fns');
+const { SOURCES, enabledSources } = require('./sources');
+const { calculateRelevance, categorizeArticle, minScoreFor } = require('./scoring');
+const { detectLanguage } = require('./language');
+const { appendArticles, loadArticles } = require('./store');
+const { clusterStories } = require('./cluster');
+const { recordHealth, isSuccess } = require('./health');
+const { fetchAllFeeds, DEFAULT_OPTIONS: FETCH_DEFAULTS } = require('./fetcher');
+const { notifyDigest } = require('./notifier');
+const { enrichDigest } = require('./enrich');
+const { loadProfiles, applyProfile } = require('./profiles');
+const { NO_OVERRIDES, overridesFor, isHidden, isForced, includedArticles, applyStoryOverrides, rankStories, arrangeStories } = require('./overrides');
+const { TIMEZONE, editorialDay, editorialRange, dayId, weekId, monthId } = require('./dates');
+const { DATA_SCHEMA_VERSION, assertDigest, assertIndex, readDigest } = require('./data-format');
 
 // Configuration
 const DATA_DIR = path.join(__dirname, '..', 'data');
 const DEFAULT_WEEKS_TO_BACKFILL = 4;
-const MIN_RELEVANCE_SCORE = 3;
-
-const parser = new Parser({
-  timeout: 15000,
-  headers: {
-    'User-Agent': 'BigTechNews/1.0 (News Aggregator)'
-  }
-});
 
 /**
  * Parse command line arguments
@@ -36,7 +32,11 @@ function parseArgs() {
   const args = process.argv.slice(2);
   const config = {
     mode: 'daily', // daily, weekly, monthly, backfill
-    weeks: DEFAULT_WEEKS_TO_BACKFILL
+    weeks: DEFAULT_WEEKS_TO_BACKFILL,
+    fetch: {},
+    notify: true,
+    enrich: false,
+    profiles: true
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -45,140 +45,24 @@ function parseArgs() {
     else if (arg === '--weekly' || arg === '-w') config.mode = 'weekly';
     else if (arg === '--monthly' || arg === '-m') config.mode = 'monthly';
     else if (arg === '--backfill' || arg === '-b') config.mode = 'backfill';
+    else if (arg === '--no-notify') config.notify = false;
+    else if (arg === '--enrich') config.enrich = true;
+    else if (arg === '--no-profiles') config.profiles = false;
     else if ((arg === '--weeks' || arg === '-n') && args[i + 1]) {
       config.weeks = parseInt(args[i + 1], 10) || DEFAULT_WEEKS_TO_BACKFILL;
       i++;
     }
-  }
-
-  return config;
-}
-
-/**
- * Extract image from RSS entry
- */
-function extractImage(entry) {
-  // Check enclosure (common in RSS feeds)
-  if (entry.enclosure?.url && entry.enclosure.type?.startsWith('image/')) {
-    return entry.enclosure.url;
-  }
-  
-  // Check media:content
-  if (entry['media:content']?.$.url) {
-    return entry['media:content'].$.url;
-  }
-  
-  // Check media:thumbnail
-  if (entry['media:thumbnail']?.$.url) {
-    return entry['media:thumbnail'].$.url;
-  }
-  
-  // Try to find image in content/description
-  const content = entry.content || entry['content:encoded'] || entry.description || '';
-  const imgMatch = content.match(/<img[^>]+src=["']([^"']+)["']/i);
-  if (imgMatch) {
-    return imgMatch[1];
-  }
-  
-  return null;
-}
-
-/**
- * Fetch RSS feed from a source
- */
-async function fetchFeed(sourceKey, source) {
-  try {
-    const feed = await parser.parseURL(source.rss);
-    return feed.items.map(entry => ({
-      title: entry.title || '',
-      link: entry.link || '',
-      description: entry.contentSnippet || entry.content || entry.description || '',
-      published: entry.isoDate || entry.pubDate || new Date().toISOString(),
-      source: source.name,
-      sourceKey: sourceKey,
-      priority: source.priority || 2,
-      image: extractImage(entry)
-    }));
-  } catch (error) {
-    console.error(`  ⚠ ${source.name}: ${error.message}`);
-    return [];
-  }
-}
-
-/**
- * Check if article should be excluded
- */
-function shouldExclude(text) {
-  for (const pattern of EXCLUDED_PATTERNS) {
-    if (pattern.test(text)) return true;
-  }
-  return false;
-}
-
-/**
- * Calculate relevance score for an article
- */
-function calculateRelevance(article) {
-  const title = article.title.toLowerCase();
-  const description = (article.description || '').toLowerCase().substring(0, 500);
-  const text = `${title} ${description}`;
-  
-  if (shouldExclude(article.title)) {
-    return { score: 0, reasons: ['excluded'] };
-  }
-  
-  let score = 0;
-  const reasons = [];
-  
-  for (const company of BIG_TECH_COMPANIES) {
-    if (text.includes(company.toLowerCase())) {
-      score += 2;
-      reasons.push(company);
-    }
-  }
-  
-  for (const keyword of HIGH_IMPACT_KEYWORDS) {
-    if (text.includes(keyword.toLowerCase())) {
-      score += 3;
-      if (!reasons.includes(keyword)) reasons.push(keyword);
+    else if (arg === '--concurrency' && args[i + 1]) {
+      config.fetch.concurrency = parseInt(args[i + 1], 10) || FETCH_DEFAULTS.concurrency;
+      i++;
     }
-  }
-  
-  for (const topic of RELEVANT_TOPICS) {
-    if (text.includes(topic.toLowerCase())) {
-      score += 1;
-      if (!reasons.includes(topic)) reasons.push(topic);
+    else if (arg === '--budget' && args[i + 1]) {
+      config.fetch.budget = (parseInt(args[i + 1], 10) * 1000) || FETCH_DEFAULTS.budget;
+      i++;
     }
   }
-  
-  if (article.priority === 1) score += 1;
-  
-  for (const company of BIG_TECH_COMPANIES) {
-    if (title.includes(company.toLowerCase())) score += 2;
-  }
-  
-  return { score, reasons: reasons.slice(0, 5) };
-}
 
-/**
- * Categorize an article
- */
-function categorizeArticle(article) {
-  const text = `${article.title} ${article.description || ''}`.toLowerCase();
-  let bestCategory = null;
-  let bestScore = 0;
-
-  for (const [categoryKey, category] of Object.entries(CATEGORIES)) {
-    let score = 0;
-    for (const keyword of category.keywords) {
-      if (text.includes(keyword.toLowerCase())) score++;
-    }
-    if (score > bestScore) {
-      bestScore = score;
-      bestCategory = categoryKey;
-    }
-  }
-  return bestCategory;
+  return config;
 }
 
 /**
@@ -194,191 +78,129 @@ function isInRange(articleDate, start, end) {
 }
 
 /**
- * Get week number and year (ISO week) using date-fns
+ * Fill in the language and region of articles stored before they were recorded
  */
-function getWeekInfo(date) {
-  const d = new Date(date);
-  return { week: getISOWeek(d), year: getISOWeekYear(d) };
-}
-
-/**
- * Generate ID in format YY-W (e.g., 26-5 for week 5 of 2026)
- */
-function generateWeekId(week, year) {
-  return `${String(year).slice(-2)}-${week}`;
-}
-
-/**
- * Generate ID for daily digest (e.g., 26-02-05)
- */
-function generateDayId(date) {
-  return format(date, 'yy-MM-dd');
-}
-
-/**
- * Generate ID for monthly digest (e.g., 26-02)
- */
-function generateMonthId(date) {
-  return format(date, 'yy-MM');
-}
-
-/**
- * Deduplicate articles by similarity
- */
-function deduplicateArticles(articles) {
-  const seen = new Set();
-  const unique = [];
-  
-  for (const article of articles) {
-    const words = article.title.toLowerCase()
-      .replace(/[^a-z0-9\s]/g, '')
-      .split(/\s+/)
-      .filter(w => w.length > 3)
-      .sort()
-      .slice(0, 5)
-      .join('|');
-    
-    if (!seen.has(words)) {
-      seen.add(words);
-      unique.push(article);
-    }
-  }
-  return unique;
-}
-
-/**
- * Fetch all feeds
- */
-async function fetchAllFeeds() {
-  console.log('Fetching feeds from all sources...');
-  const allArticles = [];
-
-  for (const [key, source] of Object.entries(SOURCES)) {
-    process.stdout.write(`  📥 ${source.name}... `);
-    const articles = await fetchFeed(key, source);
-    if (articles.length > 0) {
-      console.log(`${articles.length} articles`);
-      allArticles.push(...articles);
-    }
-  }
-
-  console.log(`\n📊 Total fetched: ${allArticles.length} articles`);
-  return allArticles;
+function withLanguage(article) {
+  if (article.language && article.region !== undefined) return article;
+  const source = SOURCES[article.sourceKey];
+  return {
+    ...article,
+    language: article.language || detectLanguage(`${article.title} ${article.description || ''}`, source?.language),
+    region: article.region ?? source?.region ?? null
+  };
 }
 
 /**
- * Process articles for a date range
+ * Process articles for a date range, optionally re-ranked for a reader profile.
+ * Editorial overrides hide articles, force others in regardless of score and
+ * pin or retitle the resulting stories; a profile's mutes still apply.
  */
-function processArticles(articles, start, end) {
-  const rangeArticles = articles.filter(a => isInRange(a.published, start, end));
+function processArticles(articles, start, end, profile = null, overrides = NO_OVERRIDES) {
+  const inRange = articles.filter(a => isInRange(a.published, start, end));
+  const rangeArticles = [...inRange, ...includedArticles(articles, inRange, overrides, start)]
+    .filter(a => !isHidden(a.link, overrides));
+  const minScore = article => profile?.minScore ?? minScoreFor(article.language);
   
   const relevantArticles = rangeArticles
     .map(article => {
-      const { score, reasons } = calculateRelevance(article);
-      const category = categorizeArticle(article);
-      return { ...article, relevanceScore: score, matchedKeywords: reasons, category };
+      const localized = withLanguage(article);
+      const { score, reasons, breakdown } = calculateRelevance(localized);
+      const { category, categories } = categorizeArticle(localized);
+      const scored = { ...localized, relevanceScore: score, matchedKeywords: reasons, scoreBreakdown: breakdown, category, categories };
+      return profile ? applyProfile(scored, profile) : scored;
     })
-    .filter(article => article.relevanceScore >= MIN_RELEVANCE_SCORE)
-    .sort((a, b) => b.relevanceScore - a.relevanceScore);
+    .filter(article => article && (article.relevanceScore >= minScore(article) || isForced(article.link, overrides)))
+    // Marked when only an override keeps them in, so removing the override drops them again
+    .map(article => (article.relevanceScore >= minScore(article) ? article : { ...article, included: true }));
 
-  const uniqueArticles = deduplicateArticles(relevantArticles);
-
-  const byCategory = {};
-  for (const article of uniqueArticles) {
-    if (article.category) {
-      if (!byCategory[article.category]) byCategory[article.category] = [];
-      byCategory[article.category].push(article);
-    }
-  }
-
-  return {
-    highlights: uniqueArticles.slice(0, 10),
-    byCategory,
-    totalArticles: uniqueArticles.length
-  };
+  // Merge coverage of the same story across sources; broader coverage ranks higher, pinned stories go where they're pinned
+  const stories = rankStories(applyStoryOverrides(clusterStories(relevantArticles), overrides));
+  return arrangeStories(stories);
 }
 
 /**
- * Generate daily digest
+ * Generate daily digest for an editorial calendar day
  */
-async function generateDailyDigest(date, articles) {
-  const start = startOfDay(date);
-  const end = endOfDay(date);
-  const processed = processArticles(articles, start, end);
-  
-  const id = generateDayId(date);
-  
+async function generateDailyDigest(day, articles, profile = null) {
+  const { start, end } = editorialRange(day);
+  const id = dayId(day);
+  const processed = processArticles(articles, start, end, profile, overridesFor(id));
+
   return {
+    schemaVersion: DATA_SCHEMA_VERSION,
     type: 'daily',
     id,
-    title: format(date, 'EEEE, MMM d'),
-    dateRange: format(date, 'MMMM d, yyyy'),
-    date: format(date, 'yyyy-MM-dd'),
+    title: format(day, 'EEEE, MMM d'),
+    dateRange: format(day, 'MMMM d, yyyy'),
+    date: format(day, 'yyyy-MM-dd'),
+    timezone: TIMEZONE,
+    ...(profile && { profile: profile.key }),
     generatedAt: new Date().toISOString(),
     ...processed
   };
 }
 
 /**
- * Generate weekly digest using ISO week dates
+ * Generate weekly digest for the ISO week containing a calendar day
  */
-async function generateWeeklyDigest(weekNum, year, articles) {
-  // Calculate ISO week 1 start: the Monday of the week containing Jan 4
-  const jan4 = new Date(year, 0, 4);
-  const week1Start = startOfWeek(jan4, { weekStartsOn: 1 });
-  
-  // Calculate this week's start/end by adding weeks
-  const weekStart = new Date(week1Start);
-  weekStart.setDate(week1Start.getDate() + (weekNum - 1) * 7);
-  
-  const weekEnd = endOfWeek(weekStart, { weekStartsOn: 1 });
-
-  const processed = processArticles(articles, weekStart, weekEnd);
-  const id = generateWeekId(weekNum, year);
+async function generateWeeklyDigest(day, articles, profile = null) {
+  const weekStart = startOfISOWeek(day);
+  const weekEnd = addDays(weekStart, 6);
+  const { start, end } = editorialRange(weekStart, weekEnd);
+  const id = weekId(weekStart);
+  const processed = processArticles(articles, start, end, profile, overridesFor(id));
+  const week = getISOWeek(weekStart);
 
   return {
+    schemaVersion: DATA_SCHEMA_VERSION,
     type: 'weekly',
     id,
-    week: weekNum,
-    year,
-    title: `Week ${weekNum}`,
+    week,
+    year: getISOWeekYear(weekStart),
+    title: `Week ${week}`,
     dateRange: `${format(weekStart, 'MMM d')} – ${format(weekEnd, 'MMM d, yyyy')}`,
+    timezone: TIMEZONE,
+    ...(profile && { profile: profile.key }),
     generatedAt: new Date().toISOString(),
     ...processed
   };
 }
 
 /**
- * Generate monthly digest
+ * Generate monthly digest for the month containing a calendar day
  */
-async function generateMonthlyDigest(date, articles) {
-  const start = startOfMonth(date);
-  const end = endOfMonth(date);
-  const processed = processArticles(articles, start, end);
-  
-  const id = generateMonthId(date);
-  
+async function generateMonthlyDigest(day, articles, profile = null) {
+  const monthStart = startOfMonth(day);
+  const monthEnd = addDays(addMonths(monthStart, 1), -1);
+  const { start, end } = editorialRange(monthStart, monthEnd);
+  const id = monthId(monthStart);
+  const processed = processArticles(articles, start, end, profile, overridesFor(id));
+
   return {
+    schemaVersion: DATA_SCHEMA_VERSION,
     type: 'monthly',
     id,
-    title: format(date, 'MMMM yyyy'),
-    dateRange: `${format(start, 'MMM d')} – ${format(end, 'MMM d, yyyy')}`,
-    month: date.getMonth() + 1,
-    year: date.getFullYear(),
+    title: format(monthStart, 'MMMM yyyy'),
+    dateRange: `${format(monthStart, 'MMM d')} – ${format(monthEnd, 'MMM d, yyyy')}`,
+    month: monthStart.getMonth() + 1,
+    year: monthStart.getFullYear(),
+    timezone: TIMEZONE,
+    ...(profile && { profile: profile.key }),
     generatedAt: new Date().toISOString(),
     ...processed
   };
 }
 
 /**
- * Save digest to JSON file
+ * Save digest to JSON file. Throws, writing nothing, if it doesn't match the digest schema.
  */
 async function saveDigest(digest, subdir = 'digests') {
   const dir = path.join(DATA_DIR, subdir);
-  await fs.mkdir(dir, { recursive: true });
-  
   const filename = `${digest.id}.json`;
   const filepath = path.join(dir, filename);
+  assertDigest(digest, filepath);
+
+  await fs.mkdir(dir, { recursive: true });
   await fs.writeFile(filepath, JSON.stringify(digest, null, 2));
   
   console.log(`  💾 Saved: ${subdir}/${filename} (${digest.totalArticles} articles)`);
@@ -386,10 +208,81 @@ async function saveDigest(digest, subdir = 'digests') {
 }
 
 /**
- * Update index of all digests
+ * Load a saved digest, or null if there is none. Throws if it is invalid.
  */
-async function updateIndex() {
+async function loadDigest(subdir, id) {
+  try {
+    return await readDigest(path.join(DATA_DIR, subdir, `${id}.json`));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Data subdirectory for a digest type, per profile
+ */
+function digestDir(type, profile = null) {
+  return profile ? path.join('profiles', profile.key, type) : type;
+}
+
+/**
+ * Generate, enrich and save a digest for the default audience and for every
+ * profile. Profile digests go to data/profiles/<key>/; only the default
+ * digest is announced. With keepFuller, a saved digest with more stories than
+ * the new one is left in place.
+ */
+async function publishDigest(generate, type, config, { notify = false, keepFuller = false } = {}) {
+  for (const profile of [null, ...config.profiles]) {
+    const digest = await generate(profile);
+    const subdir = digestDir(type, profile);
+    if (keepFuller) {
+      const existing = await loadDigest(subdir, digest.id);
+      if (existing && existing.totalArticles > digest.totalArticles) {
+        console.log(`  ⏭ Kept: ${subdir}/${digest.id}.json (${existing.totalArticles} articles, regenerated has ${digest.totalArticles})`);
+        continue;
+      }
+    }
+    await enrichDigest(digest, { offline: !config.enrich });
+    await saveDigest(digest, subdir);
+    if (notify && !profile) await notifyDigest(digest);
+  }
+}
+
+/**
+ * Load every digest of a type in a data directory. Invalid files are reported
+ * and left out rather than failing the whole index.
+ */
+async function loadDigests(dataDir, type) {
+  const dir = path.join(dataDir, type);
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(f => f.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const digests = [];
+  for (const file of files) {
+    try {
+      digests.push(await readDigest(path.join(dir, file)));
+    } catch (error) {
+      console.error(`  ✗ ${error.message}`);
+    }
+  }
+  if (digests.length < files.length) {
+    console.error(`  ✗ ${files.length - digests.length} invalid ${type} digest(s) left out of the index; run "npm run verify-data"`);
+  }
+  return digests;
+}
+
+/**
+ * Update index of all digests in a data directory
+ */
+async function updateIndex(dataDir = DATA_DIR) {
   const index = {
+    schemaVersion: DATA_SCHEMA_VERSION,
     lastUpdated: new Date().toISOString(),
     daily: [],
     weekly: [],
@@ -397,80 +290,63 @@ async function updateIndex() {
   };
 
   // Load daily digests
-  try {
-    const dailyDir = path.join(DATA_DIR, 'daily');
-    const files = await fs.readdir(dailyDir);
-    for (const file of files.filter(f => f.endsWith('.json'))) {
-      const content = await fs.readFile(path.join(dailyDir, file), 'utf-8');
-      const digest = JSON.parse(content);
-      if (digest.totalArticles > 0) {
-        index.daily.push({
-          id: digest.id,
-          title: digest.title,
-          date: digest.date,
-          dateRange: digest.dateRange,
-          totalArticles: digest.totalArticles,
-          highlightCount: digest.highlights?.length || 0
-        });
-      }
+  for (const digest of await loadDigests(dataDir, 'daily')) {
+    if (digest.totalArticles > 0) {
+      index.daily.push({
+        id: digest.id,
+        title: digest.title,
+        date: digest.date,
+        dateRange: digest.dateRange,
+        totalArticles: digest.totalArticles,
+        highlightCount: digest.highlights.length
+      });
     }
-    index.daily.sort((a, b) => b.date.localeCompare(a.date));
-  } catch (e) {}
+  }
+  index.daily.sort((a, b) => b.date.localeCompare(a.date));
 
   // Load weekly digests
-  try {
-    const weeklyDir = path.join(DATA_DIR, 'weekly');
-    const files = await fs.readdir(weeklyDir);
-    for (const file of files.filter(f => f.endsWith('.json'))) {
-      const content = await fs.readFile(path.join(weeklyDir, file), 'utf-8');
-      const digest = JSON.parse(content);
-      if (digest.totalArticles > 0) {
-        index.weekly.push({
-          id: digest.id,
-          title: digest.title,
-          week: digest.week,
-          year: digest.year,
-          dateRange: digest.dateRange,
-          totalArticles: digest.totalArticles,
-          highlightCount: digest.highlights?.length || 0
-        });
-      }
+  for (const digest of await loadDigests(dataDir, 'weekly')) {
+    if (digest.totalArticles > 0) {
+      index.weekly.push({
+        id: digest.id,
+        title: digest.title,
+        week: digest.week,
+        year: digest.year,
+        dateRange: digest.dateRange,
+        totalArticles: digest.totalArticles,
+        highlightCount: digest.highlights.length
+      });
     }
-    index.weekly.sort((a, b) => {
-      if (a.year !== b.year) return b.year - a.year;
-      return b.week - a.week;
-    });
-  } catch (e) {}
+  }
+  index.weekly.sort((a, b) => {
+    if (a.year !== b.year) return b.year - a.year;
+    return b.week - a.week;
+  });
 
   // Load monthly digests
-  try {
-    const monthlyDir = path.join(DATA_DIR, 'monthly');
-    const files = await fs.readdir(monthlyDir);
-    for (const file of files.filter(f => f.endsWith('.json'))) {
-      const content = await fs.readFile(path.join(monthlyDir, file), 'utf-8');
-      const digest = JSON.parse(content);
-      if (digest.totalArticles > 0) {
-        index.monthly.push({
-          id: digest.id,
-          title: digest.title,
-          month: digest.month,
-          year: digest.year,
-          dateRange: digest.dateRange,
-          totalArticles: digest.totalArticles,
-          highlightCount: digest.highlights?.length || 0
-        });
-      }
+  for (const digest of await loadDigests(dataDir, 'monthly')) {
+    if (digest.totalArticles > 0) {
+      index.monthly.push({
+        id: digest.id,
+        title: digest.title,
+        month: digest.month,
+        year: digest.year,
+        dateRange: digest.dateRange,
+        totalArticles: digest.totalArticles,
+        highlightCount: digest.highlights.length
+      });
     }
-    index.monthly.sort((a, b) => {
-      if (a.year !== b.year) return b.year - a.year;
-      return b.month - a.month;
-    });
-  } catch (e) {}
+  }
+  index.monthly.sort((a, b) => {
+    if (a.year !== b.year) return b.year - a.year;
+    return b.month - a.month;
+  });
 
-  const indexPath = path.join(DATA_DIR, 'index.json');
+  const indexPath = path.join(dataDir, 'index.json');
+  assertIndex(index, indexPath);
   await fs.writeFile(indexPath, JSON.stringify(index, null, 2));
   
-  console.log(`\n📋 Index updated: ${index.daily.length} daily, ${index.weekly.length} weekly, ${index.monthly.length} monthly`);
+  console.log(`\n📋 Index updated${dataDir === DATA_DIR ? '' : ` (${path.relative(DATA_DIR, dataDir)})`}: ${index.daily.length} daily, ${index.weekly.length} weekly, ${index.monthly.length} monthly`);
 }
 
 /**
@@ -490,75 +366,97 @@ async function main() {
   await fs.mkdir(path.join(DATA_DIR, 'monthly'), { recursive: true });
 
   // Fetch all feeds
-  const articles = await fetchAllFeeds();
+  const { articles: fetched, results } = await fetchAllFeeds(enabledSources(SOURCES), config.fetch);
+  await recordHealth(results);
 
-  if (articles.length === 0) {
-    console.error('\n❌ No articles fetched. Check your internet connection.');
+  // Unchanged feeds (304) return no articles, so only abort when every source failed
+  if (!Object.values(results).some(isSuccess)) {
+    console.error('\n❌ No feeds could be fetched. Check your internet connection.');
     process.exit(1);
   }
 
-  const now = new Date();
+  // Persist everything fetched so later digests see articles that have left the feeds
+  const added = await appendArticles(fetched);
+  console.log(`🗄  Article store: ${added} new articles`);
+
+  // Periods follow the editorial timezone's calendar, not the runner's
+  const today = editorialDay();
+  console.log(`🕒 Editorial day: ${dayId(today)} (${TIMEZONE})`);
+  config.profiles = config.profiles ? Object.values(loadProfiles()) : [];
+  if (config.profiles.length > 0) {
+    console.log(`👤 Profiles: ${config.profiles.map(p => p.key).join(', ')}`);
+  }
 
   switch (config.mode) {
     case 'daily': {
       console.log('\n━━━ Daily Digest ━━━');
-      const digest = await generateDailyDigest(now, articles);
-      await saveDigest(digest, 'daily');
+      const { start, end } = editorialRange(today);
+      const articles = await loadArticles(start, end);
+      await publishDigest(profile => generateDailyDigest(today, articles, profile), 'daily', config, { notify: config.notify });
       break;
     }
     
     case 'weekly': {
       // Generate digest for the PREVIOUS week (the completed one)
-      const lastWeekDate = subWeeks(now, 1);
-      const weekInfo = getWeekInfo(lastWeekDate);
-      console.log(`\n━━━ Week ${weekInfo.week}, ${weekInfo.year} ━━━`);
-      const digest = await generateWeeklyDigest(weekInfo.week, weekInfo.year, articles);
-      await saveDigest(digest, 'weekly');
+      const lastWeek = startOfISOWeek(subWeeks(today, 1));
+      console.log(`\n━━━ Week ${getISOWeek(lastWeek)}, ${getISOWeekYear(lastWeek)} ━━━`);
+      const { start, end } = editorialRange(lastWeek, endOfISOWeek(lastWeek));
+      const articles = await loadArticles(start, end);
+      await publishDigest(profile => generateWeeklyDigest(lastWeek, articles, profile), 'weekly', config, { notify: config.notify });
       break;
     }
     
     case 'monthly': {
       // Generate digest for the PREVIOUS month (the completed one)
-      const lastMonth = subMonths(now, 1);
+      const lastMonth = startOfMonth(subMonths(today, 1));
       console.log(`\n━━━ ${format(lastMonth, 'MMMM yyyy')} ━━━`);
-      const digest = await generateMonthlyDigest(lastMonth, articles);
-      await saveDigest(digest, 'monthly');
+      const { start, end } = editorialRange(lastMonth, endOfMonth(lastMonth));
+      const articles = await loadArticles(start, end);
+      await publishDigest(profile => generateMonthlyDigest(lastMonth, articles, profile), 'monthly', config, { notify: config.notify });
       break;
     }
     
     case 'backfill': {
       console.log(`\n📚 Backfilling ${config.weeks} weeks...\n`);
+      const { start, end } = editorialRange(
+        min([
+          subDays(today, 6),
+          startOfISOWeek(subWeeks(today, config.weeks - 1)),
+          startOfMonth(subMonths(today, 1))
+        ]),
+        endOfMonth(today)
+      );
+      const articles = await loadArticles(start, end);
       
       // Backfill daily (last 7 days)
       console.log('── Daily Digests ──');
       for (let i = 0; i < 7; i++) {
-        const date = subDays(now, i);
-        const digest = await generateDailyDigest(date, articles);
-        await saveDigest(digest, 'daily');
+        const day = subDays(today, i);
+        await publishDigest(profile => generateDailyDigest(day, articles, profile), 'daily', config, { keepFuller: true });
       }
       
       // Backfill weekly
       console.log('\n── Weekly Digests ──');
       for (let i = 0; i < config.weeks; i++) {
-        const date = subWeeks(now, i);
-        const weekInfo = getWeekInfo(date);
-        const digest = await generateWeeklyDigest(weekInfo.week, weekInfo.year, articles);
-        await saveDigest(digest, 'weekly');
+        const day = subWeeks(today, i);
+        await publishDigest(profile => generateWeeklyDigest(day, articles, profile), 'weekly', config, { keepFuller: true });
       }
       
       // Backfill monthly (current + previous month)
       console.log('\n── Monthly Digests ──');
       for (let i = 0; i < 2; i++) {
-        const date = subMonths(now, i);
-        const digest = await generateMonthlyDigest(date, articles);
-        await saveDigest(digest, 'monthly');
+        const day = subMonths(today, i);
+        await publishDigest(profile => generateMonthlyDigest(day, articles, profile), 'monthly', config, { keepFuller: true });
       }
       break;
     }
   }
 
-  // Update the index
+  // Update the indexes
   await updateIndex();
+  for (const profile of config.profiles) {
+    await updateIndex(path.join(DATA_DIR, 'profiles', profile.key));
+  }
 
   console.log('\n✅ Completed!\n');
   
@@ -567,7 +465,22 @@ async function main() {
 }
 
 // Run main function
-main().catch(error => {
-  console.error('Fatal error:', error);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DATA_DIR,
+  processArticles,
+  generateDailyDigest,
+  generateWeeklyDigest,
+  generateMonthlyDigest,
+  loadDigest,
+  loadDigests,
+  digestDir,
+  saveDigest,
+  updateIndex
+};
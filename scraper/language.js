@@ -0,0 +1,59 @@
+/**
+ * Language Detection
+ * Guesses the language of a headline and teaser from its script (Japanese,
+ * Chinese, Korean) or, for Latin-script languages, from how many common
+ * function words it contains. Short or ambiguous text falls back to the
+ * source's configured language.
+ */
+
+// Frequent short words that rarely appear in the other supported languages
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'in', 'is', 'for', 'with', 'that', 'on', 'as', 'are', 'its', 'from', 'by', 'this', 'will', 'has', 'have', 'was', 'new'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'für', 'auf', 'ein', 'eine', 'den', 'dem', 'des', 'von', 'sich', 'auch', 'wird', 'bei', 'nach', 'neue'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'du', 'pour', 'dans', 'sur', 'qui', 'que', 'avec', 'pas', 'au', 'aux', 'plus', 'sont', 'nouveau', 'nouvelle'],
+  es: ['el', 'los', 'las', 'y', 'del', 'es', 'una', 'por', 'para', 'con', 'que', 'se', 'su', 'al', 'más', 'como', 'pero', 'sus', 'nuevo', 'nueva'],
+  nl: ['het', 'een', 'en', 'van', 'is', 'niet', 'met', 'voor', 'op', 'zijn', 'dat', 'ook', 'wordt', 'bij', 'naar', 'nieuwe', 'maar', 'uit'],
+  it: ['il', 'lo', 'gli', 'della', 'di', 'che', 'è', 'per', 'con', 'una', 'non', 'sono', 'nel', 'alla', 'del', 'dei', 'nuovo', 'nuova', 'anche'],
+  pt: ['o', 'os', 'do', 'da', 'dos', 'das', 'em', 'um', 'uma', 'para', 'com', 'não', 'que', 'por', 'mais', 'seu', 'sua', 'novo', 'nova']
+};
+
+const SCRIPTS = [
+  { language: 'ja', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+  { language: 'ko', pattern: /\p{Script=Hangul}/gu },
+  { language: 'zh', pattern: /\p{Script=Han}/gu }
+];
+
+// Minimum stopword hits, and lead over the runner-up, to trust a Latin-script guess
+const MIN_HITS = 2;
+const MIN_LEAD = 1;
+
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)]));
+
+/**
+ * Detect the language of text as a lowercase ISO 639-1 code, or `fallback`
+ * when the text doesn't say clearly
+ */
+function detectLanguage(text, fallback = 'en') {
+  if (!text) return fallback;
+
+  // Kana only occurs in Japanese, which also uses Han, so check scripts in order
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  for (const { language, pattern } of SCRIPTS) {
+    const count = (text.match(pattern) || []).length;
+    if (count > 0 && count >= Math.min(2, letters * 0.1)) return language;
+  }
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  const hits = Object.entries(STOPWORD_SETS)
+    .map(([language, set]) => ({ language, count: words.filter(word => set.has(word)).length }))
+    .sort((a, b) => b.count - a.count);
+
+  const [best, runnerUp] = hits;
+  if (best.count >= MIN_HITS && best.count - runnerUp.count >= MIN_LEAD) return best.language;
+  return fallback;
+}
+
+module.exports = {
+  STOPWORDS,
+  detectLanguage
+};
@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * Digest ID Migration
+ * Renames digests from the old two-digit IDs (26-02-05, 26-5, 26-02) to the
+ * zero-padded ones (2026-02-05, 2026-W06, 2026-02), in data/ and in every
+ * profile's data directory, then rewrites the indexes and data/announced.json.
+ *
+ * Weekly IDs are derived from the dates a digest actually covers. Early weekly
+ * digests were labelled one week behind their contents, so their week number
+ * and title are corrected too. When two old files cover the same period the
+ * one with the most articles is kept. Old IDs are kept in `legacyIds` so the
+ * build can leave redirects at the old URLs.
+ *
+ * Usage: node scraper/migrate-ids.js [--dry-run]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parse, isValid, getISOWeek, getISOWeekYear, startOfISOWeek } = require('date-fns');
+const { ID_PATTERNS, dayId, weekId, monthId, periodOf } = require('./dates');
+const { ANNOUNCED_FILE } = require('./notifier');
+const { DATA_DIR, updateIndex } = require('./index');
+
+const TYPES = ['daily', 'weekly', 'monthly'];
+
+/**
+ * First day of the period an old-format digest covers, or null if it can't be told
+ */
+function periodStart(digest, type) {
+  if (type === 'daily') {
+    const day = parse(digest.date || `20${digest.id}`, 'yyyy-MM-dd', new Date());
+    return isValid(day) ? day : null;
+  }
+
+  if (type === 'weekly') {
+    // "Dec 29 – Jan 4, 2026": the start takes the end's year unless that puts it after the end
+    const [from, to] = (digest.dateRange || '').split(' – ');
+    const end = parse(to || '', 'MMM d, yyyy', new Date());
+    if (isValid(end)) {
+      let start = parse(`${from}, ${end.getFullYear()}`, 'MMM d, yyyy', new Date());
+      if (start > end) start = parse(`${from}, ${end.getFullYear() - 1}`, 'MMM d, yyyy', new Date());
+      if (isValid(start)) return startOfISOWeek(start);
+    }
+    const period = digest.year && digest.week
+      ? periodOf('weekly', `${digest.year}-W${String(digest.week).padStart(2, '0')}`)
+      : null;
+    return period?.first || null;
+  }
+
+  const [yy, mm] = digest.id.split('-').map(Number);
+  const year = digest.year || 2000 + yy;
+  const month = digest.month || mm;
+  return year && month ? new Date(year, month - 1, 1) : null;
+}
+
+/**
+ * Digest fields that follow from its new ID
+ */
+function migratedFields(type, start) {
+  if (type === 'weekly') {
+    const week = getISOWeek(start);
+    return { id: weekId(start), week, year: getISOWeekYear(start), title: `Week ${week}` };
+  }
+  if (type === 'daily') return { id: dayId(start) };
+  return { id: monthId(start) };
+}
+
+/**
+ * Plan the renames for one digest type in one data directory. Each plan has
+ * the new id, the kept digest's old id and week, every file it replaces and
+ * the ids of the digests dropped in its favour.
+ */
+async function planType(dir, type) {
+  let files;
+  try {
+    files = (await fs.readdir(path.join(dir, type))).filter(f => f.endsWith('.json')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return { plans: [], problems: [] };
+    throw error;
+  }
+
+  const byId = new Map();
+  const problems = [];
+  for (const file of files) {
+    const digest = JSON.parse(await fs.readFile(path.join(dir, type, file), 'utf-8'));
+    const oldId = path.basename(file, '.json');
+    const start = ID_PATTERNS[type].test(oldId) ? periodOf(type, oldId)?.first : periodStart(digest, type);
+    if (!start) {
+      problems.push(`${type}/${file}: can't tell which period it covers, left as is`);
+      continue;
+    }
+
+    const fields = migratedFields(type, start);
+    if (!byId.has(fields.id)) byId.set(fields.id, []);
+    byId.get(fields.id).push({ oldId, digest, fields });
+  }
+
+  const plans = [];
+  for (const [id, candidates] of byId) {
+    // Keep the most complete digest; ties go to the most recently generated
+    candidates.sort((a, b) =>
+      (b.digest.totalArticles || 0) - (a.digest.totalArticles || 0) ||
+      (b.digest.generatedAt || '').localeCompare(a.digest.generatedAt || ''));
+    const [kept, ...dropped] = candidates;
+
+    const legacyIds = [...new Set([
+      ...candidates.flatMap(c => c.digest.legacyIds || []),
+      ...candidates.map(c => c.oldId)
+    ])].filter(old => old !== id);
+
+    const unchanged = candidates.length === 1 && kept.oldId === id &&
+      Object.entries(kept.fields).every(([key, value]) => kept.digest[key] === value);
+    if (unchanged) continue;
+
+    const { id: _, ...rest } = kept.digest;
+    plans.push({
+      id,
+      oldId: kept.oldId,
+      files: candidates.map(c => `${c.oldId}.json`),
+      oldWeek: kept.digest.week,
+      dropped: dropped.map(c => c.oldId),
+      digest: { type, id, ...(legacyIds.length > 0 && { legacyIds }), ...rest, ...kept.fields }
+    });
+  }
+
+  return { plans, problems };
+}
+
+/**
+ * Migrate one data directory. Returns { type/oldId: type/newId } for every renamed digest.
+ */
+async function migrateDir(dir, dryRun) {
+  const renames = {};
+  console.log(`\n📦 ${path.relative(path.join(DATA_DIR, '..'), dir)}/`);
+
+  for (const type of TYPES) {
+    const { plans, problems } = await planType(dir, type);
+    for (const problem of problems) console.log(`  ⚠ ${problem}`);
+    console.log(`  ${type}: ${plans.length} to migrate`);
+
+    for (const plan of plans) {
+      if (type === 'weekly' && plan.oldWeek !== undefined && plan.oldWeek !== plan.digest.week) {
+        console.log(`    ${type}/${plan.oldId} → ${plan.id} (covers ${plan.digest.dateRange}, was labelled week ${plan.oldWeek})`);
+      }
+      if (plan.dropped.length > 0) {
+        console.log(`    ⚠ ${plan.files.map(f => `${type}/${path.basename(f, '.json')}`).join(', ')} cover the same period (${plan.id}); keeping ${plan.oldId} (${plan.digest.totalArticles} articles)`);
+      }
+      for (const old of [plan.oldId, ...plan.dropped]) renames[`${type}/${old}`] = `${type}/${plan.id}`;
+      if (dryRun) continue;
+
+      await fs.writeFile(path.join(dir, type, `${plan.id}.json`), JSON.stringify(plan.digest, null, 2));
+      for (const file of plan.files) {
+        if (file !== `${plan.id}.json`) await fs.unlink(path.join(dir, type, file));
+      }
+    }
+  }
+
+  if (!dryRun) await updateIndex(dir);
+  return renames;
+}
+
+/**
+ * Point announcement records at the new IDs so migrated digests aren't announced again
+ */
+async function migrateAnnounced(renames, dryRun) {
+  let announced;
+  try {
+    announced = JSON.parse(await fs.readFile(ANNOUNCED_FILE, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let changed = 0;
+  for (const [webhook, keys] of Object.entries(announced)) {
+    announced[webhook] = Object.fromEntries(Object.entries(keys).map(([key, at]) => {
+      if (!renames[key]) return [key, at];
+      changed++;
+      return [renames[key], at];
+    }));
+  }
+  if (changed > 0 && !dryRun) await fs.writeFile(ANNOUNCED_FILE, JSON.stringify(announced, null, 2));
+  return changed;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  console.log(`Migrating digest IDs${dryRun ? ' (dry run, nothing is written)' : ''}...`);
+
+  const dirs = [DATA_DIR];
+  try {
+    const profilesDir = path.join(DATA_DIR, 'profiles');
+    for (const entry of await fs.readdir(profilesDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) dirs.push(path.join(profilesDir, entry.name));
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const renames = {};
+  for (const dir of dirs) {
+    // Profile digests aren't announced, so only the main directory's renames matter below
+    const dirRenames = await migrateDir(dir, dryRun);
+    if (dir === DATA_DIR) Object.assign(renames, dirRenames);
+  }
+
+  const announced = await migrateAnnounced(renames, dryRun);
+  console.log(`\n📣 announced.json: ${announced} record${announced !== 1 ? 's' : ''} ${dryRun ? 'to update' : 'updated'}`);
+  console.log(`\n✅ ${dryRun ? 'Dry run complete' : 'Migration complete'}`);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,221 @@
+/**
+ * Webhook Notifier
+ * Posts a digest's top highlights to chat webhooks (Slack, Discord, Microsoft
+ * Teams or plain JSON) configured in config/webhooks.json, and remembers which
+ * digests each webhook has announced so re-runs don't post twice.
+ */
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const { CATEGORIES } = require('./sources');
+const { TRANSIENT_STATUSES, TRANSIENT_CODES } = require('./fetcher');
+const { siteUrlFor } = require('./site');
+const { sleep } = require('./util');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'config', 'webhooks.json');
+const ANNOUNCED_FILE = path.join(__dirname, '..', 'data', 'announced.json');
+
+const DEFAULT_CONFIG = { maxItems: 5, retries: 3, retryDelay: 1000, webhooks: [] };
+const TYPE_LABELS = { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' };
+
+async function loadConfig(file = CONFIG_PATH) {
+  try {
+    return { ...DEFAULT_CONFIG, ...JSON.parse(await fs.readFile(file, 'utf-8')) };
+  } catch (error) {
+    if (error.code === 'ENOENT') return DEFAULT_CONFIG;
+    throw new Error(`Invalid webhook config ${file}: ${error.message}`);
+  }
+}
+
+async function loadAnnounced(file = ANNOUNCED_FILE) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`  ⚠ Could not read announced.json: ${error.message}`);
+    return {};
+  }
+}
+
+function digestUrl(digest) {
+  return `${siteUrlFor(digest.profile)}/${digest.type}/${digest.id}.html`;
+}
+
+function headline(digest) {
+  return `${TYPE_LABELS[digest.type] || ''} Digest — ${digest.title}`.trim();
+}
+
+/**
+ * Highlights passing a webhook's category and minimum-score filters
+ */
+function selectItems(digest, webhook, config) {
+  return (digest.highlights || [])
+    .filter(a => !webhook.categories?.length || webhook.categories.includes(a.category))
+    .filter(a => (a.relevanceScore || 0) >= (webhook.minScore || 0))
+    .slice(0, webhook.maxItems || config.maxItems);
+}
+
+function categoryLabel(article) {
+  const category = CATEGORIES[article.category];
+  return category ? `${category.icon} ${category.name}` : '';
+}
+
+function metaLine(article) {
+  return [article.source, categoryLabel(article), `Score ${article.relevanceScore}`].filter(Boolean).join(' · ');
+}
+
+// Slack's mrkdwn link text can't contain these characters unescaped
+function slackText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const FORMATTERS = {
+  slack(digest, items) {
+    return {
+      text: `${headline(digest)}: ${items.map(a => a.title).join(' | ')}`,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: headline(digest) } },
+        { type: 'context', elements: [{ type: 'mrkdwn', text: `${slackText(digest.dateRange)} · ${digest.totalArticles} stories` }] },
+        ...items.map((a, i) => ({
+          type: 'section',
+          text: { type: 'mrkdwn', text: `*${i + 1}. <${a.link}|${slackText(a.title)}>*\n${slackText(metaLine(a))}` }
+        })),
+        { type: 'actions', elements: [{ type: 'button', text: { type: 'plain_text', text: 'Full digest' }, url: digestUrl(digest) }] }
+      ]
+    };
+  },
+
+  discord(digest, items) {
+    const description = items
+      .map((a, i) => `**${i + 1}.** [${a.title.replace(/[[\]]/g, '')}](${a.link})\n${metaLine(a)}`)
+      .join('\n\n');
+    return {
+      embeds: [{
+        title: headline(digest),
+        url: digestUrl(digest),
+        description: description.substring(0, 4000),
+        color: 0x3b82f6,
+        footer: { text: `${digest.dateRange} · ${digest.totalArticles} stories` },
+        timestamp: digest.generatedAt
+      }]
+    };
+  },
+
+  teams(digest, items) {
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', size: 'Large', weight: 'Bolder', text: headline(digest), wrap: true },
+            { type: 'TextBlock', isSubtle: true, spacing: 'None', text: `${digest.dateRange} · ${digest.totalArticles} stories`, wrap: true },
+            ...items.flatMap((a, i) => [
+              { type: 'TextBlock', weight: 'Bolder', text: `${i + 1}. [${a.title}](${a.link})`, wrap: true },
+              { type: 'TextBlock', isSubtle: true, spacing: 'None', text: metaLine(a), wrap: true }
+            ])
+          ],
+          actions: [{ type: 'Action.OpenUrl', title: 'Full digest', url: digestUrl(digest) }]
+        }
+      }]
+    };
+  },
+
+  json(digest, items) {
+    return {
+      digest: {
+        type: digest.type,
+        id: digest.id,
+        title: digest.title,
+        dateRange: digest.dateRange,
+        totalArticles: digest.totalArticles,
+        url: digestUrl(digest)
+      },
+      items: items.map(a => ({
+        title: a.title,
+        link: a.link,
+        source: a.source,
+        category: a.category || null,
+        score: a.relevanceScore,
+        coverage: a.coverage || 1
+      }))
+    };
+  }
+};
+
+/**
+ * POST a payload, retrying transient failures with exponential backoff
+ */
+async function postWithRetry(url, payload, config) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await axios.post(url, payload, { timeout: 15000, validateStatus: () => true });
+      if (response.status < 300) return response;
+      const error = new Error(`HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    } catch (error) {
+      const transient = error.status ? TRANSIENT_STATUSES.has(error.status) : TRANSIENT_CODES.has(error.code);
+      if (!transient || attempt >= config.retries) throw error;
+      await sleep(config.retryDelay * 2 ** attempt);
+    }
+  }
+}
+
+/**
+ * Announce a digest on every configured webhook that hasn't announced it yet.
+ * Returns the names of webhooks that posted.
+ */
+async function notifyDigest(digest, { configFile = CONFIG_PATH, announcedFile = ANNOUNCED_FILE } = {}) {
+  const config = await loadConfig(configFile);
+  if (config.webhooks.length === 0) return [];
+
+  const announced = await loadAnnounced(announcedFile);
+  const key = `${digest.type}/${digest.id}`;
+  const posted = [];
+
+  for (const webhook of config.webhooks) {
+    if (webhook.enabled === false) continue;
+    if (webhook.digestTypes && !webhook.digestTypes.includes(digest.type)) continue;
+    if (announced[webhook.name]?.[key]) continue;
+
+    // A webhook whose URL comes from an unset environment variable is simply
+    // not configured on this machine (e.g. a missing CI secret)
+    if (webhook.urlEnv && !process.env[webhook.urlEnv]) continue;
+
+    const url = webhook.urlEnv ? process.env[webhook.urlEnv] : webhook.url;
+    const format = FORMATTERS[webhook.type || 'json'];
+    if (!url || !format) {
+      console.error(`  ⚠ Webhook ${webhook.name}: ${!url ? 'no URL configured' : `unknown type "${webhook.type}"`}`);
+      continue;
+    }
+
+    const items = selectItems(digest, webhook, config);
+    if (items.length === 0) continue;
+
+    try {
+      await postWithRetry(url, format(digest, items), config);
+      announced[webhook.name] = { ...announced[webhook.name], [key]: new Date().toISOString() };
+      posted.push(webhook.name);
+      console.log(`  📣 Announced ${key} on ${webhook.name} (${items.length} stories)`);
+    } catch (error) {
+      console.error(`  ⚠ Webhook ${webhook.name}: ${error.message}`);
+    }
+  }
+
+  if (posted.length > 0) {
+    await fs.mkdir(path.dirname(announcedFile), { recursive: true });
+    await fs.writeFile(announcedFile, JSON.stringify(announced, null, 2));
+  }
+  return posted;
+}
+
+module.exports = {
+  ANNOUNCED_FILE,
+  FORMATTERS,
+  selectItems,
+  notifyDigest
+};
@@ -0,0 +1,305 @@
+/**
+ * Editorial Overrides
+ * Corrections to individual digests, kept in config/overrides.json so they
+ * survive reruns and backfills: pin a story to a highlight position, hide a
+ * link or a whole domain, force-include a link the scorer dropped (or one no
+ * feed carried) and rewrite a headline. Overrides are keyed by digest ID, with
+ * "*" applying to every digest. They're applied when a digest is generated and
+ * again when the site is built, so edits show up without regenerating.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateSchema, loadSchema } = require('./schema');
+const { canonicalLink } = require('./store');
+const { periodOf } = require('./dates');
+const { OTHER_CATEGORY } = require('./sources-config');
+
+const OVERRIDES_CONFIG_PATH = path.join(__dirname, '..', 'config', 'overrides.json');
+const OVERRIDES_SCHEMA_PATH = path.join(__dirname, '..', 'config', 'overrides.schema.json');
+
+const ALL_DIGESTS = '*';
+const HIGHLIGHT_COUNT = 10;
+
+/**
+ * Host name of a link, lowercased; empty if it isn't a URL
+ */
+function hostOf(link) {
+  try {
+    return new URL(link).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+function isWebLink(link) {
+  try {
+    return ['http:', 'https:'].includes(new URL(link).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function isDigestId(id) {
+  return id === ALL_DIGESTS || ['daily', 'weekly', 'monthly'].some(type => periodOf(type, id));
+}
+
+/**
+ * Check a parsed overrides config against the schema, the digest ID formats
+ * and the known categories. Returns { errors, warnings }.
+ */
+function validateOverridesConfig(config, { categories }, schema = loadSchema(OVERRIDES_SCHEMA_PATH)) {
+  const errors = validateSchema(config, schema);
+  if (errors.length > 0) return { errors, warnings: [] };
+
+  const warnings = [];
+  for (const [id, entry] of Object.entries(config.digests)) {
+    const at = `digests.${id}`;
+    if (!isDigestId(id)) errors.push(`${at}: not a digest ID (2026-03-05, 2026-W10 or 2026-03) or "${ALL_DIGESTS}"`);
+
+    const links = [
+      ...(entry.pin || []).map((pin, i) => [`pin[${i}]`, pin.link]),
+      ...(entry.hide || []).map((link, i) => [`hide[${i}]`, link]),
+      ...(entry.include || []).map((item, i) => [`include[${i}]`, item.link]),
+      ...Object.keys(entry.headlines || {}).map(link => ['headlines', link])
+    ];
+    for (const [field, link] of links) {
+      if (!isWebLink(link)) errors.push(`${at}.${field}: "${link}" is not an http(s) URL`);
+    }
+
+    const positions = new Map();
+    for (const { link, position } of entry.pin || []) {
+      if (positions.has(position)) errors.push(`${at}.pin: ${link} and ${positions.get(position)} are both pinned to #${position}`);
+      positions.set(position, link);
+    }
+    for (const [i, item] of (entry.include || []).entries()) {
+      if (item.category && !categories[item.category]) errors.push(`${at}.include[${i}].category: unknown category "${item.category}"`);
+    }
+
+    const hidden = new Set((entry.hide || []).map(canonicalLink));
+    const hiddenDomains = entry.hideDomains || [];
+    for (const [field, link] of links.filter(([field]) => !field.startsWith('hide'))) {
+      const host = hostOf(link);
+      if (hidden.has(canonicalLink(link)) || hiddenDomains.some(domain => host === domain || host.endsWith(`.${domain}`))) {
+        warnings.push(`${at}.${field}: ${link} is also hidden; hiding wins`);
+      }
+    }
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Load the overrides config. A missing file means no overrides.
+ */
+function loadOverrides(file = OVERRIDES_CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { digests: {} };
+    throw new Error(`Invalid overrides config ${file}: ${error.message}`);
+  }
+
+  // Loaded here rather than at the top: sources.js loads and validates the sources config
+  const { CATEGORIES } = require('./sources');
+  const { errors } = validateOverridesConfig(config, { categories: CATEGORIES });
+  if (errors.length > 0) {
+    throw new Error(`Invalid overrides config ${file}:\n  ${errors.join('\n  ')}\nRun "npm run validate-config" for details.`);
+  }
+  return config;
+}
+
+/**
+ * Compile override entries into lookups keyed by canonical link. Later
+ * entries win, so a digest's own entry overrides the "*" entry. anyPeriod
+ * holds the pinned and included links that may be added from outside the
+ * digest's period; overridesFor narrows it to the digest's own entry.
+ */
+function compileOverrides(...entries) {
+  const rules = { pins: new Map(), hide: new Set(), hideDomains: [], include: new Map(), headlines: new Map(), anyPeriod: new Set(), source: entries.filter(Boolean) };
+  for (const entry of rules.source) {
+    for (const { link, position } of entry.pin || []) rules.pins.set(canonicalLink(link), position);
+    for (const link of entry.hide || []) rules.hide.add(canonicalLink(link));
+    rules.hideDomains.push(...(entry.hideDomains || []).map(domain => domain.toLowerCase()));
+    for (const item of entry.include || []) rules.include.set(canonicalLink(item.link), item);
+    for (const [link, title] of Object.entries(entry.headlines || {})) rules.headlines.set(canonicalLink(link), title);
+  }
+  for (const key of [...rules.pins.keys(), ...rules.include.keys()]) rules.anyPeriod.add(key);
+  return rules;
+}
+
+const NO_OVERRIDES = compileOverrides();
+
+let loaded = null;
+
+/**
+ * The compiled overrides for a digest ID, from config/overrides.json unless a
+ * config is given. A "*" pin or include only forces in articles from the
+ * digest's own period, so it has the same effect on a one-day run, a
+ * backfill that loads months of articles and a rebuild of the saved digest.
+ */
+function overridesFor(id, config = loaded || (loaded = loadOverrides())) {
+  const rules = compileOverrides(config.digests[ALL_DIGESTS], config.digests[id]);
+  rules.anyPeriod = compileOverrides(config.digests[id]).anyPeriod;
+  return rules;
+}
+
+function hasOverrides(rules) {
+  return rules.source.length > 0;
+}
+
+function isHidden(link, rules) {
+  if (rules.hide.has(canonicalLink(link))) return true;
+  const host = hostOf(link);
+  return rules.hideDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Whether an editor asked for the link to be in the digest, by including or pinning it
+ */
+function isForced(link, rules) {
+  const key = canonicalLink(link);
+  return rules.include.has(key) || rules.pins.has(key);
+}
+
+/**
+ * Articles for forced links missing from the period: taken from the other
+ * loaded articles when one matches, otherwise built from the include's own
+ * title and source. Links with neither, and links only forced by a "*"
+ * entry, are left out.
+ */
+function includedArticles(articles, inRange, rules, published) {
+  const present = new Set(inRange.map(a => canonicalLink(a.link)));
+  const loadedArticles = new Map(articles.map(a => [canonicalLink(a.link), a]));
+  const included = [];
+  for (const key of rules.anyPeriod) {
+    if (present.has(key)) continue;
+    const item = rules.include.get(key);
+    if (loadedArticles.has(key)) included.push(loadedArticles.get(key));
+    else if (item?.title) {
+      included.push({
+        title: item.title,
+        link: item.link,
+        description: item.description || '',
+        published: published.toISOString(),
+        source: item.source || hostOf(item.link).replace(/^www\./, '')
+      });
+    }
+  }
+  return included;
+}
+
+/**
+ * Links of a story and every source covering it
+ */
+function storyLinks(story) {
+  return [story.link, ...(story.sources || []).map(s => s.link)].map(canonicalLink);
+}
+
+/**
+ * Apply headline rewrites, pins and forced categories to stories, returning
+ * copies. Stories keep their original title in originalTitle; overrides
+ * removed since a story was saved are undone.
+ */
+function applyStoryOverrides(stories, rules) {
+  return stories.map(story => {
+    const { originalTitle, pinned, ...fields } = story;
+    const links = storyLinks(story);
+    const original = originalTitle ?? story.title;
+    const headline = links.map(key => rules.headlines.get(key)).find(Boolean);
+    const position = links.map(key => rules.pins.get(key)).find(Boolean);
+    const category = links.map(key => rules.include.get(key)?.category).find(Boolean);
+
+    return {
+      ...fields,
+      title: headline || original,
+      ...(category && { category, categories: [{ key: category, confidence: 1 }] }),
+      ...(headline && headline !== original && { originalTitle: original }),
+      ...(position && { pinned: position })
+    };
+  });
+}
+
+/**
+ * Move pinned stories to their positions (1-based) in a ranked list; the
+ * rest keep their order
+ */
+function rankStories(stories) {
+  const pinned = stories.filter(s => s.pinned).sort((a, b) => a.pinned - b.pinned);
+  const ranked = stories.filter(s => !s.pinned);
+  for (const story of pinned) ranked.splice(Math.min(story.pinned - 1, ranked.length), 0, story);
+  return ranked;
+}
+
+/**
+ * Split ranked stories into a digest's highlights and per-category lists. A
+ * story is listed under each of its labels.
+ */
+function arrangeStories(stories) {
+  const byCategory = {};
+  for (const story of stories) {
+    for (const { key } of story.categories) {
+      if (!byCategory[key]) byCategory[key] = [];
+      byCategory[key].push(story);
+    }
+  }
+
+  return {
+    highlights: stories.slice(0, HIGHLIGHT_COUNT),
+    byCategory,
+    totalArticles: stories.length
+  };
+}
+
+/**
+ * Apply overrides to a saved digest, returning a copy with its stories
+ * re-arranged. Hiding a story's lead link hides the whole story until it's
+ * regenerated; force-included links not in the digest are added only when
+ * the override gives a title. Digests no override touches, now or when they
+ * were saved, are returned as they are.
+ */
+function applyOverrides(digest, rules) {
+  const saved = [...(digest.highlights || []), ...Object.values(digest.byCategory || {}).flat()];
+  if (!hasOverrides(rules) && !saved.some(s => s.pinned || s.originalTitle || s.included)) return digest;
+
+  const seen = new Set();
+  const stories = [];
+  for (const story of saved) {
+    const key = canonicalLink(story.link);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (isHidden(story.link, rules)) continue;
+    // Dropped again once the override that forced it in is removed
+    if (story.included && !storyLinks(story).some(link => isForced(link, rules))) continue;
+    stories.push(story.sources ? { ...story, sources: story.sources.filter(s => !isHidden(s.link, rules)) } : story);
+  }
+
+  const covered = stories.flatMap(story => [story, ...(story.sources || [])]);
+  for (const article of includedArticles([], covered, rules, new Date(digest.generatedAt))) {
+    if (isHidden(article.link, rules)) continue;
+    stories.push({ ...article, relevanceScore: 0, included: true, category: OTHER_CATEGORY, categories: [{ key: OTHER_CATEGORY, confidence: 1 }] });
+  }
+
+  // Stable, so stories with equal scores keep their saved order
+  stories.sort((a, b) => (b.relevanceScore || 0) - (a.relevanceScore || 0));
+  return { ...digest, ...arrangeStories(rankStories(applyStoryOverrides(stories, rules))) };
+}
+
+module.exports = {
+  OVERRIDES_CONFIG_PATH,
+  OVERRIDES_SCHEMA_PATH,
+  ALL_DIGESTS,
+  NO_OVERRIDES,
+  validateOverridesConfig,
+  loadOverrides,
+  compileOverrides,
+  overridesFor,
+  hasOverrides,
+  isHidden,
+  isForced,
+  includedArticles,
+  applyStoryOverrides,
+  rankStories,
+  arrangeStories,
+  applyOverrides
+};
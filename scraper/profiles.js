@@ -0,0 +1,133 @@
+/**
+ * Reader Profiles
+ * Named profiles re-rank the same articles for different audiences. Each can
+ * keep only some languages or regions, boost or mute companies, categories
+ * and sources and set its own minimum score; profiles are defined in
+ * config/profiles.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateSchema, loadSchema } = require('./schema');
+const { SOURCES, CATEGORIES, REGIONS } = require('./sources');
+const { compileTerms, matchTerms } = require('./scoring');
+
+const PROFILES_CONFIG_PATH = path.join(__dirname, '..', 'config', 'profiles.json');
+const PROFILES_SCHEMA_PATH = path.join(__dirname, '..', 'config', 'profiles.schema.json');
+
+const DEFAULT_BOOST_POINTS = 3;
+
+// Profile keys become directory names under data/profiles/ and public/profiles/
+const PROFILE_KEY_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Check a parsed profiles config against the schema and the known sources,
+ * categories and regions. Returns { errors, warnings }.
+ */
+function validateProfilesConfig(config, { sources, categories, regions = {} }, schema = loadSchema(PROFILES_SCHEMA_PATH)) {
+  const errors = validateSchema(config, schema);
+  if (errors.length > 0) return { errors, warnings: [] };
+
+  const warnings = [];
+  for (const [key, profile] of Object.entries(config.profiles)) {
+    const at = `profiles.${key}`;
+    if (!PROFILE_KEY_PATTERN.test(key)) errors.push(`${at}: key must be lowercase letters, digits and dashes`);
+    for (const region of profile.regions || []) {
+      if (!regions[region]) errors.push(`${at}.regions: unknown region "${region}"`);
+    }
+
+    for (const list of ['boost', 'mute']) {
+      for (const category of profile[list]?.categories || []) {
+        if (!categories[category]) errors.push(`${at}.${list}.categories: unknown category "${category}"`);
+      }
+      for (const source of profile[list]?.sources || []) {
+        if (!sources[source]) errors.push(`${at}.${list}.sources: unknown source "${source}"`);
+      }
+    }
+
+    for (const kind of ['companies', 'categories', 'sources']) {
+      const muted = new Set((profile.mute?.[kind] || []).map(v => v.toLowerCase()));
+      for (const value of profile.boost?.[kind] || []) {
+        if (muted.has(value.toLowerCase())) warnings.push(`${at}: "${value}" is both boosted and muted`);
+      }
+    }
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Load and compile the profiles, keyed by profile key. A missing config means no profiles.
+ */
+function loadProfiles(file = PROFILES_CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Invalid profiles config ${file}: ${error.message}`);
+  }
+
+  const { errors } = validateProfilesConfig(config, { sources: SOURCES, categories: CATEGORIES, regions: REGIONS });
+  if (errors.length > 0) {
+    throw new Error(`Invalid profiles config ${file}:\n  ${errors.join('\n  ')}\nRun "npm run validate-config" for details.`);
+  }
+
+  const compile = selection => ({
+    companies: compileTerms(selection?.companies || []),
+    categories: new Set(selection?.categories || []),
+    sources: new Set(selection?.sources || [])
+  });
+
+  return Object.fromEntries(Object.entries(config.profiles).map(([key, profile]) => [key, {
+    key,
+    name: profile.name,
+    description: profile.description || '',
+    minScore: profile.minScore ?? null,
+    boostPoints: profile.boostPoints ?? DEFAULT_BOOST_POINTS,
+    languages: profile.languages ? new Set(profile.languages) : null,
+    regions: profile.regions ? new Set(profile.regions) : null,
+    boost: compile(profile.boost),
+    mute: compile(profile.mute)
+  }]));
+}
+
+/**
+ * Re-score a scored article for a profile. Returns null if the profile mutes
+ * it (or its primary category) or doesn't cover its language or region, otherwise a copy with the profile's boosts added to its score and breakdown.
+ * A boosted category counts if it is any of the article's labels.
+ * Excluded articles are returned unchanged so a boost can't bring them back.
+ */
+function applyProfile(article, profile) {
+  const { mute, boost, boostPoints, languages, regions } = profile;
+  const title = article.title || '';
+
+  if (languages && !languages.has(article.language || 'en')) return null;
+  if (regions && !regions.has(article.region)) return null;
+  if (mute.sources.has(article.sourceKey)) return null;
+  if (mute.categories.has(article.category)) return null;
+  if (matchTerms(title, mute.companies).length > 0) return null;
+  if (article.scoreBreakdown?.some(item => item.rule === 'excluded')) return article;
+
+  const text = `${title} ${article.description || ''}`;
+  const boostedCategory = (article.categories?.map(label => label.key) || [article.category]).find(key => boost.categories.has(key));
+  const boosts = [
+    ...matchTerms(text, boost.companies).map(term => ({ rule: 'profile', term, points: boostPoints })),
+    ...(boostedCategory ? [{ rule: 'profile', term: `category ${boostedCategory}`, points: boostPoints }] : []),
+    ...(boost.sources.has(article.sourceKey) ? [{ rule: 'profile', term: `source ${article.sourceKey}`, points: boostPoints }] : [])
+  ];
+  if (boosts.length === 0) return article;
+
+  return {
+    ...article,
+    relevanceScore: article.relevanceScore + boosts.reduce((sum, item) => sum + item.points, 0),
+    scoreBreakdown: [...(article.scoreBreakdown || []), ...boosts]
+  };
+}
+
+module.exports = {
+  PROFILES_CONFIG_PATH,
+  PROFILES_SCHEMA_PATH,
+  validateProfilesConfig,
+  loadProfiles,
+  applyProfile
+};
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+/**
+ * Archive Query
+ * Searches the stories in saved digests by keyword, company, category,
+ * source, date range and minimum score, lists them newest first or as the
+ * top scorers, or counts them per source, category, month and so on.
+ * Stories come from the daily digests unless --type says otherwise; a story
+ * is listed once even if several digests carry it.
+ *
+ * Usage: node scraper/query.js [filters] [--top N | --count-by DIMS] [--format FORMAT]
+ *
+ * Filters (repeat or comma-separate values to match any of them):
+ *   --keyword TERM      Whole-word match in title, description, summary or matched keywords
+ *   --company NAME      Company named in title or description (aliases and translations count)
+ *   --category KEY      Any of the story's category labels
+ *   --source KEY        Any source covering the story (key or name)
+ *   --from YYYY-MM-DD   First digest day
+ *   --to YYYY-MM-DD     Last digest day
+ *   --period ID         2026, 2026-Q2, 2026-04, 2026-W15 or 2026-04-07 instead of --from/--to
+ *   --min-score N       Minimum relevance score
+ *   --language CODE     Story language (en, de, ja, ...)
+ *   --profile KEY       Query a profile's digests in data/profiles/<key>/
+ *   --type TYPE         daily (default), weekly or monthly digests
+ *
+ * Output:
+ *   --top N             The N highest-scoring stories instead of the newest
+ *   --count-by DIMS     Count stories per source, category, language, region,
+ *                       day, week, month, quarter and/or year (e.g. source,month)
+ *   --limit N           Newest stories listed without --top (default 50, 0 for all)
+ *   --format FORMAT     table (default), json, csv or markdown
+ *
+ * Examples:
+ *   npm run query -- --company nvidia --period 2026-Q2 --top 10
+ *   npm run query -- --count-by source,month --format csv
+ */
+
+const path = require('path');
+const { addDays, addMonths } = require('date-fns');
+const { DATA_DIR, loadDigests } = require('./index');
+const { SOURCES, CATEGORIES, BIG_TECH_COMPANIES } = require('./sources');
+const { SCORING, compileTerms } = require('./scoring');
+const { dayId, weekId, periodOf } = require('./dates');
+const { loadProfiles } = require('./profiles');
+const { overridesFor, applyOverrides } = require('./overrides');
+
+const TYPES = ['daily', 'weekly', 'monthly'];
+const FORMATS = ['table', 'json', 'csv', 'markdown'];
+const DEFAULT_LIMIT = 50;
+
+// Table column width for titles; json, csv and markdown keep them whole
+const TITLE_WIDTH = 70;
+
+function usage(message) {
+  console.error(`✗ ${message}`);
+  console.error('Usage: node scraper/query.js [--keyword T] [--company C] [--category K] [--source S] [--from D --to D | --period ID] [--min-score N] [--language L] [--profile K] [--type T] [--top N | --count-by DIMS] [--limit N] [--format table|json|csv|markdown]');
+  process.exit(1);
+}
+
+/**
+ * Values of a list option, split on commas
+ */
+function listValue(value) {
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(args = process.argv.slice(2)) {
+  const config = {
+    keywords: [],
+    companies: [],
+    categories: [],
+    sources: [],
+    languages: [],
+    from: null,
+    to: null,
+    minScore: null,
+    profile: null,
+    type: 'daily',
+    top: null,
+    countBy: null,
+    limit: DEFAULT_LIMIT,
+    format: 'table'
+  };
+  const value = i => args[i + 1] || usage(`${args[i]} needs a value`);
+  const number = i => {
+    const n = Number(value(i));
+    return Number.isFinite(n) && n >= 0 ? n : usage(`${args[i]} takes a number`);
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--keyword') config.keywords.push(...listValue(value(i++)));
+    else if (arg === '--company') config.companies.push(...listValue(value(i++)));
+    else if (arg === '--category') config.categories.push(...listValue(value(i++)));
+    else if (arg === '--source') config.sources.push(...listValue(value(i++)));
+    else if (arg === '--language') config.languages.push(...listValue(value(i++)));
+    else if (arg === '--from') config.from = value(i++);
+    else if (arg === '--to') config.to = value(i++);
+    else if (arg === '--period') Object.assign(config, periodRange(value(i++)));
+    else if (arg === '--min-score') config.minScore = number(i++);
+    else if (arg === '--profile') config.profile = value(i++);
+    else if (arg === '--type') config.type = value(i++);
+    else if (arg === '--top') config.top = number(i++);
+    else if (arg === '--count-by') config.countBy = listValue(value(i++));
+    else if (arg === '--limit') config.limit = number(i++);
+    else if (arg === '--format') config.format = value(i++);
+    else usage(`Unknown option ${arg}`);
+  }
+
+  for (const option of ['from', 'to']) {
+    if (config[option] && !periodOf('daily', config[option])) usage(`--${option} takes a date like 2026-03-05`);
+  }
+  if (config.from && config.to && config.from > config.to) usage('--from is after --to');
+  if (!TYPES.includes(config.type)) usage(`Unknown digest type "${config.type}"`);
+  if (!FORMATS.includes(config.format)) usage(`Unknown format "${config.format}"; use ${FORMATS.join(', ')}`);
+  if (config.top !== null && config.countBy) usage('Give --top or --count-by, not both');
+  for (const dimension of config.countBy || []) {
+    if (!DIMENSIONS[dimension]) usage(`Can't count by "${dimension}"; use ${Object.keys(DIMENSIONS).join(', ')}`);
+  }
+  if (config.profile && !loadProfiles()[config.profile]) usage(`Unknown profile "${config.profile}"`);
+  for (const key of config.categories) {
+    if (!CATEGORIES[key]) usage(`Unknown category "${key}"; use ${Object.keys(CATEGORIES).join(', ')}`);
+  }
+  for (const company of config.companies) {
+    if (!BIG_TECH_COMPANIES.includes(company.toLowerCase())) console.error(`⚠ "${company}" is not a tracked company; matching it as text`);
+  }
+  return config;
+}
+
+/**
+ * First and last day (as YYYY-MM-DD) of a year, quarter, month, ISO week or day
+ */
+function periodRange(id) {
+  let first;
+  let last;
+  const year = /^(\d{4})$/.exec(id);
+  const quarter = /^(\d{4})-Q([1-4])$/i.exec(id);
+  if (year) {
+    first = new Date(Number(year[1]), 0, 1);
+    last = new Date(Number(year[1]), 11, 31);
+  } else if (quarter) {
+    first = new Date(Number(quarter[1]), (Number(quarter[2]) - 1) * 3, 1);
+    last = addDays(addMonths(first, 3), -1);
+  } else {
+    const type = TYPES.find(t => periodOf(t, id));
+    if (!type) usage(`"${id}" is not a year, quarter (2026-Q2), month, ISO week or day`);
+    ({ first, last } = periodOf(type, id));
+  }
+  return { from: dayId(first), to: dayId(last) };
+}
+
+/**
+ * Flatten the stories of loaded digests into query records, newest digest
+ * first and each link once
+ */
+function collectStories(digests) {
+  const seen = new Set();
+  const stories = [];
+  const byNewest = [...digests].sort((a, b) => b.id.localeCompare(a.id));
+
+  for (const digest of byNewest) {
+    const first = periodOf(digest.type, digest.id)?.first;
+    for (const story of [...digest.highlights, ...Object.values(digest.byCategory).flat()]) {
+      if (seen.has(story.link)) continue;
+      seen.add(story.link);
+      const members = story.sources?.length ? story.sources : [story];
+      stories.push({
+        date: first ? dayId(first) : null,
+        digest: `${digest.type}/${digest.id}`,
+        title: story.title.trim(),
+        link: story.link,
+        source: story.source,
+        sourceKey: story.sourceKey || null,
+        sources: [...new Set(members.map(m => m.sourceKey || m.source))],
+        sourceNames: [...new Set(members.map(m => m.source))],
+        category: story.category,
+        categories: story.categories.map(label => label.key),
+        score: story.relevanceScore ?? 0,
+        coverage: story.coverage || 1,
+        language: story.language || 'en',
+        region: story.region ?? null,
+        matchedKeywords: story.matchedKeywords || [],
+        text: `${story.title} ${story.description || ''}`,
+        summary: story.summary || ''
+      });
+    }
+  }
+  return stories;
+}
+
+/**
+ * Matchers for a term list in one language, compiled once
+ */
+function termMatcher(terms) {
+  const byLanguage = new Map();
+  return (text, language) => {
+    if (!byLanguage.has(language)) byLanguage.set(language, compileTerms(terms, SCORING, language));
+    return byLanguage.get(language).some(matcher => matcher.test(text));
+  };
+}
+
+/**
+ * Keep the stories that pass every given filter
+ */
+function filterStories(stories, config) {
+  const keywords = config.keywords.length > 0 ? termMatcher(config.keywords) : null;
+  const companies = config.companies.length > 0 ? termMatcher(config.companies) : null;
+  const sources = config.sources.map(s => s.toLowerCase());
+  const keywordSet = new Set(config.keywords.map(k => k.toLowerCase()));
+
+  return stories.filter(story =>
+    (!config.from || story.date >= config.from) &&
+    (!config.to || story.date <= config.to) &&
+    (config.minScore === null || story.score >= config.minScore) &&
+    (config.languages.length === 0 || config.languages.includes(story.language)) &&
+    (config.categories.length === 0 || story.categories.some(key => config.categories.includes(key))) &&
+    (sources.length === 0 || [...story.sources, ...story.sourceNames].some(s => sources.includes(s.toLowerCase()))) &&
+    (!companies || companies(story.text, story.language)) &&
+    (!keywords || keywords(`${story.text} ${story.summary}`, story.language) || story.matchedKeywords.some(k => keywordSet.has(k)))
+  );
+}
+
+// Group keys a story counts under, per dimension; a story with several sources or labels counts once for each
+const DIMENSIONS = {
+  source: story => story.sources.map(key => SOURCES[key]?.name || key),
+  category: story => story.categories.map(key => CATEGORIES[key]?.name || key),
+  language: story => [story.language],
+  region: story => [story.region || 'none'],
+  day: story => [story.date],
+  week: story => [weekId(periodOf('daily', story.date).first)],
+  month: story => [story.date.slice(0, 7)],
+  quarter: story => [`${story.date.slice(0, 4)}-Q${Math.ceil(Number(story.date.slice(5, 7)) / 3)}`],
+  year: story => [story.date.slice(0, 4)]
+};
+
+/**
+ * Story counts per combination of dimensions, sorted by each dimension in turn
+ */
+function countStories(stories, dimensions) {
+  const counts = new Map();
+  for (const story of stories) {
+    let combos = [[]];
+    for (const dimension of dimensions) {
+      combos = combos.flatMap(combo => DIMENSIONS[dimension](story).map(key => [...combo, key]));
+    }
+    for (const combo of combos) {
+      const id = JSON.stringify(combo);
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+  }
+
+  return [...counts.entries()]
+    .map(([id, stories]) => ({ ...Object.fromEntries(JSON.parse(id).map((key, i) => [dimensions[i], key])), stories }))
+    .sort((a, b) => {
+      for (const dimension of dimensions) {
+        const order = String(a[dimension]).localeCompare(String(b[dimension]));
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+}
+
+/**
+ * Output rows for listed stories: the table columns plus, for json and csv, the link and labels
+ */
+function storyRows(stories) {
+  return stories.map(story => ({
+    date: story.date,
+    score: story.score,
+    source: story.sourceNames.join(', '),
+    category: CATEGORIES[story.category]?.name || story.category,
+    title: story.title,
+    link: story.link,
+    categories: story.categories,
+    coverage: story.coverage,
+    language: story.language,
+    digest: story.digest
+  }));
+}
+
+function csvField(value) {
+  const text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function truncate(text, max) {
+  text = String(text ?? '');
+  return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
+/**
+ * Render rows in a format. `columns` are the ones shown in table and markdown.
+ */
+function formatRows(rows, columns, format) {
+  if (format === 'json') return JSON.stringify(rows, null, 2);
+
+  if (format === 'csv') {
+    const header = Object.keys(rows[0] || Object.fromEntries(columns.map(c => [c])));
+    return [header.join(','), ...rows.map(row => header.map(key => csvField(row[key])).join(','))].join('\n');
+  }
+
+  if (format === 'markdown') {
+    const cell = (row, column) => {
+      const text = String(row[column] ?? '').replace(/\|/g, '\\|');
+      return column === 'title' && row.link ? `[${text}](${row.link})` : text;
+    };
+    return [
+      `| ${columns.join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${columns.map(column => cell(row, column)).join(' | ')} |`)
+    ].join('\n');
+  }
+
+  const cells = rows.map(row => columns.map(column =>
+    column === 'title' ? truncate(row[column], TITLE_WIDTH) : String(row[column] ?? '')
+  ));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)));
+  const numeric = columns.map(column => rows.length > 0 && rows.every(row => typeof row[column] === 'number'));
+  const line = values => values.map((value, i) => numeric[i] ? value.padStart(widths[i]) : value.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns), line(widths.map(width => '─'.repeat(width))), ...cells.map(line)].join('\n');
+}
+
+/**
+ * Run a query against the archive and return the rendered output
+ */
+async function runQuery(config) {
+  const dataDir = config.profile ? path.join(DATA_DIR, 'profiles', config.profile) : DATA_DIR;
+  const digests = (await loadDigests(dataDir, config.type)).map(digest => applyOverrides(digest, overridesFor(digest.id)));
+  const stories = filterStories(collectStories(digests), config);
+
+  if (config.countBy) {
+    const rows = countStories(stories, config.countBy);
+    console.error(`${stories.length} matching stor${stories.length !== 1 ? 'ies' : 'y'}, ${rows.length} group${rows.length !== 1 ? 's' : ''}`);
+    return formatRows(rows, [...config.countBy, 'stories'], config.format);
+  }
+
+  // --top picks its own count; otherwise the newest stories up to --limit
+  let listed = stories;
+  if (config.top !== null) {
+    listed = [...stories].sort((a, b) => b.score - a.score || b.date.localeCompare(a.date)).slice(0, config.top);
+  } else if (config.limit > 0) {
+    listed = stories.slice(0, config.limit);
+  }
+  console.error(listed.length < stories.length
+    ? `Showing ${listed.length} of ${stories.length} matching stories${config.top === null ? ' (--limit 0 for all)' : ''}`
+    : `${stories.length} matching stor${stories.length !== 1 ? 'ies' : 'y'}`);
+  return formatRows(storyRows(listed), ['date', 'score', 'source', 'category', 'title'], config.format);
+}
+
+async function main() {
+  const config = parseArgs();
+  console.log(await runQuery(config));
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArgs,
+  periodRange,
+  collectStories,
+  filterStories,
+  countStories,
+  formatRows,
+  runQuery
+};
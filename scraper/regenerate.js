@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+/**
+ * Digest Regeneration
+ * Rebuilds the digests for a day, week, month or date range from data already
+ * on disk: the article store, plus the stories in saved digests for periods
+ * the store doesn't cover. Never touches the network; enrichment only
+ * uses the cache, and nothing is announced.
+ *
+ * Usage:
+ *   node scraper/regenerate.js --day 2026-03-05
+ *   node scraper/regenerate.js --week 2026-W09
+ *   node scraper/regenerate.js --month 2026-03
+ *   node scraper/regenerate.js --from 2026-03-01 --to 2026-03-31 [--types daily,weekly]
+ *
+ * Options:
+ *   --dry-run      Show how each digest would change, down to the story
+ *                  fields, and write nothing
+ *   --force        Overwrite even when the saved digest has more stories
+ *   --no-profiles  Only regenerate the default digests
+ */
+
+const path = require('path');
+const { addDays, subDays, addWeeks, addMonths, startOfISOWeek, startOfMonth, isAfter } = require('date-fns');
+const { canonicalLink, loadArticles } = require('./store');
+const { enrichDigest } = require('./enrich');
+const { loadProfiles } = require('./profiles');
+const { editorialRange, dayId, weekId, monthId, periodOf } = require('./dates');
+const {
+  DATA_DIR,
+  generateDailyDigest,
+  generateWeeklyDigest,
+  generateMonthlyDigest,
+  loadDigest,
+  digestDir,
+  saveDigest,
+  updateIndex
+} = require('./index');
+
+const TYPES = ['daily', 'weekly', 'monthly'];
+
+const GENERATORS = {
+  daily: generateDailyDigest,
+  weekly: generateWeeklyDigest,
+  monthly: generateMonthlyDigest
+};
+
+// Fields a story gains in processArticles; stripped to turn it back into an article
+const STORY_FIELDS = ['relevanceScore', 'articleScore', 'matchedKeywords', 'scoreBreakdown', 'category', 'categories', 'coverage', 'sources', 'enriched', 'originalTitle', 'pinned', 'included'];
+
+// Highlights listed per digest in a diff
+const DIFF_HIGHLIGHTS = 10;
+
+// Values longer than this are cut short in a --dry-run JSON diff
+const DIFF_VALUE_LENGTH = 100;
+
+// Digest fields left out of the field-level diff: the stories (diffed one by
+// one), the run time and the story count already in the summary
+const DIGEST_STORY_FIELDS = ['highlights', 'byCategory', 'generatedAt', 'totalArticles'];
+
+function usage(message) {
+  console.error(`✗ ${message}`);
+  console.error('Usage: node scraper/regenerate.js (--day YYYY-MM-DD | --week YYYY-Www | --month YYYY-MM | --from YYYY-MM-DD --to YYYY-MM-DD) [--types daily,weekly,monthly] [--dry-run] [--force] [--no-profiles]');
+  process.exit(1);
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const config = { dryRun: false, force: false, profiles: true, types: TYPES };
+  const value = i => args[i + 1] || usage(`${args[i]} needs a value`);
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--dry-run') config.dryRun = true;
+    else if (arg === '--force') config.force = true;
+    else if (arg === '--no-profiles') config.profiles = false;
+    else if (arg === '--day') config.day = value(i++);
+    else if (arg === '--week') config.week = value(i++);
+    else if (arg === '--month') config.month = value(i++);
+    else if (arg === '--from') config.from = value(i++);
+    else if (arg === '--to') config.to = value(i++);
+    else if (arg === '--types') config.types = value(i++).split(',').map(t => t.trim());
+    else usage(`Unknown option ${arg}`);
+  }
+
+  for (const type of config.types) {
+    if (!TYPES.includes(type)) usage(`Unknown digest type "${type}"`);
+  }
+  return config;
+}
+
+/**
+ * The digests to regenerate, as [{ type, first, last }] in calendar days
+ */
+function selectPeriods(config) {
+  const single = [['daily', config.day], ['weekly', config.week], ['monthly', config.month]]
+    .filter(([, id]) => id);
+  if (single.length + (config.from || config.to ? 1 : 0) !== 1) {
+    usage('Give exactly one of --day, --week, --month or --from/--to');
+  }
+
+  if (single.length === 1) {
+    const [type, id] = single[0];
+    const period = periodOf(type, id);
+    if (!period) usage(`"${id}" is not a valid ${type} ID`);
+    return [{ type, ...period }];
+  }
+
+  const from = periodOf('daily', config.from || '');
+  const to = periodOf('daily', config.to || '');
+  if (!from || !to) usage('--from and --to take dates like 2026-03-01');
+  if (isAfter(from.first, to.first)) usage('--from is after --to');
+
+  // Every day in the range, and the weeks and months that lie entirely inside it
+  const first = from.first;
+  const last = to.first;
+  const periods = [];
+  if (config.types.includes('daily')) {
+    for (let day = first; day <= last; day = addDays(day, 1)) periods.push({ type: 'daily', first: day, last: day });
+  }
+  if (config.types.includes('weekly')) {
+    for (let week = startOfISOWeek(first); week <= last; week = addWeeks(week, 1)) {
+      if (week >= first && addDays(week, 6) <= last) periods.push({ type: 'weekly', first: week, last: addDays(week, 6) });
+    }
+  }
+  if (config.types.includes('monthly')) {
+    for (let month = startOfMonth(first); month <= last; month = addMonths(month, 1)) {
+      const monthEnd = addDays(addMonths(month, 1), -1);
+      if (month >= first && monthEnd <= last) periods.push({ type: 'monthly', first: month, last: monthEnd });
+    }
+  }
+  return periods;
+}
+
+/**
+ * Turn a saved story back into the articles it was built from, undoing any
+ * headline override so it can be applied afresh. Saved members only keep
+ * their title and link, so they take the story's description for scoring.
+ */
+function storyArticles(story) {
+  const lead = Object.fromEntries(Object.entries(story).filter(([key]) => !STORY_FIELDS.includes(key)));
+  if (story.originalTitle) lead.title = story.originalTitle;
+  const others = (story.sources || [])
+    .filter(s => s.link !== story.link)
+    .map(s => ({ ...s, description: story.description || '', priority: story.priority, language: story.language }));
+  return [lead, ...others];
+}
+
+/**
+ * Articles from the saved daily, weekly and monthly digests overlapping the
+ * days first through last, for periods from before the article store existed.
+ * A profile reads its own digests, which can hold stories the default ones don't.
+ */
+async function articlesFromSavedDigests(first, last, profile = null) {
+  // One day either side catches stories filed under a neighbouring day in another timezone
+  const from = subDays(first, 1);
+  const to = addDays(last, 1);
+  const ids = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) ids.push(['daily', dayId(day)]);
+  for (let week = startOfISOWeek(from); week <= to; week = addWeeks(week, 1)) ids.push(['weekly', weekId(week)]);
+  for (let month = startOfMonth(from); month <= to; month = addMonths(month, 1)) ids.push(['monthly', monthId(month)]);
+
+  const articles = [];
+  for (const [type, id] of ids) {
+    const digest = await loadDigest(digestDir(type, profile), id);
+    if (!digest) continue;
+    for (const story of [...(digest.highlights || []), ...Object.values(digest.byCategory || {}).flat()]) {
+      articles.push(...storyArticles(story));
+    }
+  }
+  return articles;
+}
+
+/**
+ * Stored articles for the span, topped up with any articles only found in the
+ * saved digests of the default audience or the given profile
+ */
+async function loadSourceArticles(first, last, profile = null) {
+  const { start, end } = editorialRange(first, last);
+  const stored = await loadArticles(start, end);
+  const seen = new Set(stored.map(a => canonicalLink(a.link)));
+
+  const fromDigests = [];
+  for (const article of await articlesFromSavedDigests(first, last, profile)) {
+    const key = canonicalLink(article.link);
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    fromDigests.push(article);
+  }
+
+  console.log(`🗄  ${profile ? `${profile.key}: ` : ''}${stored.length} stored articles, ${fromDigests.length} more from saved digests`);
+  return [...stored, ...fromDigests];
+}
+
+/**
+ * Lines describing how a regenerated digest differs from the saved one
+ */
+function diffDigests(before, after) {
+  if (!before) return [`new digest, ${after.totalArticles} stories`];
+
+  const lines = [];
+  if (before.totalArticles !== after.totalArticles) {
+    lines.push(`stories: ${before.totalArticles} → ${after.totalArticles}`);
+  }
+
+  const rank = digest => new Map((digest.highlights || []).map((story, i) => [canonicalLink(story.link), i + 1]));
+  const beforeRanks = rank(before);
+  const afterRanks = rank(after);
+  (after.highlights || []).slice(0, DIFF_HIGHLIGHTS).forEach((story, i) => {
+    const old = beforeRanks.get(canonicalLink(story.link));
+    if (!old) lines.push(`+ #${i + 1} ${story.title} (${story.source})`);
+    else if (old !== i + 1) lines.push(`~ #${old} → #${i + 1} ${story.title}`);
+  });
+  for (const story of before.highlights || []) {
+    if (!afterRanks.has(canonicalLink(story.link))) lines.push(`- #${beforeRanks.get(canonicalLink(story.link))} ${story.title} (${story.source})`);
+  }
+
+  const categories = new Set([...Object.keys(before.byCategory || {}), ...Object.keys(after.byCategory || {})]);
+  for (const key of [...categories].sort()) {
+    const was = before.byCategory?.[key]?.length || 0;
+    const now = after.byCategory?.[key]?.length || 0;
+    if (was !== now) lines.push(`  ${key}: ${was} → ${now}`);
+  }
+
+  return lines.length > 0 ? lines : ['unchanged'];
+}
+
+/**
+ * Every story in a digest, from its highlights and category lists, keyed by
+ * canonical link (first occurrence wins)
+ */
+function storiesByLink(digest) {
+  const stories = new Map();
+  for (const story of [...(digest?.highlights || []), ...Object.values(digest?.byCategory || {}).flat()]) {
+    const key = canonicalLink(story.link);
+    if (key && !stories.has(key)) stories.set(key, story);
+  }
+  return stories;
+}
+
+function shortJSON(value) {
+  const text = value === undefined ? 'none' : JSON.stringify(value);
+  return text.length > DIFF_VALUE_LENGTH ? `${text.slice(0, DIFF_VALUE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Lines of a field-level diff between the saved and regenerated digest JSON:
+ * changed digest fields, stories added and removed (by link) and, for
+ * stories in both, each field whose value changed
+ */
+function diffDigestJSON(before, after) {
+  const lines = [];
+  const fields = (a, b, skip = []) => [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])]
+    .filter(field => !skip.includes(field) && JSON.stringify(a?.[field]) !== JSON.stringify(b?.[field]))
+    .sort();
+
+  for (const field of fields(before, after, DIGEST_STORY_FIELDS)) {
+    lines.push(`${field}: ${shortJSON(before?.[field])} → ${shortJSON(after[field])}`);
+  }
+
+  const beforeStories = storiesByLink(before);
+  const afterStories = storiesByLink(after);
+  for (const [key, story] of afterStories) {
+    if (!beforeStories.has(key)) lines.push(`+ ${story.link} "${story.title}"`);
+  }
+  for (const [key, story] of beforeStories) {
+    if (!afterStories.has(key)) lines.push(`- ${story.link} "${story.title}"`);
+  }
+  for (const [key, story] of afterStories) {
+    const old = beforeStories.get(key);
+    if (!old) continue;
+    const changed = fields(old, story);
+    if (changed.length === 0) continue;
+    lines.push(`~ ${story.link}`);
+    for (const field of changed) lines.push(`    ${field}: ${shortJSON(old[field])} → ${shortJSON(story[field])}`);
+  }
+  return lines;
+}
+
+async function main() {
+  const config = parseArgs();
+  const periods = selectPeriods(config);
+  if (periods.length === 0) usage('No complete digest periods in that range for the selected types');
+
+  const profiles = config.profiles ? Object.values(loadProfiles()) : [];
+  console.log(`Regenerating ${periods.length} digest${periods.length !== 1 ? 's' : ''}${profiles.length > 0 ? ` (+ profiles: ${profiles.map(p => p.key).join(', ')})` : ''}${config.dryRun ? ' — dry run, nothing is written' : ''}\n`);
+
+  const first = periods.reduce((min, p) => (p.first < min ? p.first : min), periods[0].first);
+  const last = periods.reduce((max, p) => (p.last > max ? p.last : max), periods[0].last);
+  const audiences = [null, ...profiles];
+  const sourceArticles = new Map();
+  for (const profile of audiences) sourceArticles.set(profile, await loadSourceArticles(first, last, profile));
+
+  let written = 0;
+  let kept = 0;
+  const touched = new Set();
+
+  for (const period of periods) {
+    for (const profile of audiences) {
+      const subdir = digestDir(period.type, profile);
+      const digest = await GENERATORS[period.type](period.first, sourceArticles.get(profile), profile);
+      await enrichDigest(digest, { offline: true });
+
+      const existing = await loadDigest(subdir, digest.id);
+      console.log(`\n${subdir}/${digest.id}`);
+      for (const line of diffDigests(existing, digest)) console.log(`    ${line}`);
+      const jsonDiff = config.dryRun && existing ? diffDigestJSON(existing, digest) : [];
+      if (jsonDiff.length > 0) {
+        console.log('    JSON:');
+        for (const line of jsonDiff) console.log(`      ${line}`);
+      }
+
+      if (existing && existing.totalArticles > digest.totalArticles && !config.force) {
+        console.log(`  ⏭ Kept: saved digest has more stories (use --force to overwrite)`);
+        kept++;
+        continue;
+      }
+      if (config.dryRun) continue;
+
+      // Keep redirects from migrated IDs pointing at the regenerated digest
+      if (existing?.legacyIds) digest.legacyIds = existing.legacyIds;
+      await saveDigest(digest, subdir);
+      touched.add(profile ? path.join(DATA_DIR, 'profiles', profile.key) : DATA_DIR);
+      written++;
+    }
+  }
+
+  for (const dir of touched) await updateIndex(dir);
+
+  console.log(`\n✅ ${config.dryRun ? 'Dry run: nothing written' : `${written} written`}, ${kept} kept`);
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  loadSourceArticles,
+  diffDigests,
+  diffDigestJSON
+};
@@ -0,0 +1,177 @@
+/**
+ * JSON Schema Checks
+ * A small validator for the subset of JSON Schema (draft-07) used by the
+ * schemas in config/, plus a scanner for duplicate object keys, which
+ * JSON.parse silently resolves by keeping the last one.
+ */
+
+const fs = require('fs');
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  return ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+}
+
+/**
+ * Validate a value against a schema. Supports type, enum, const, required,
+ * properties, additionalProperties, items, minItems, minLength, pattern,
+ * minimum, maximum, anyOf and local $refs. Returns a list of error messages
+ * prefixed with the path of the offending value.
+ */
+function validateSchema(value, schema, at = '', root = schema) {
+  if (schema.$ref) {
+    const { $ref, ...rest } = schema;
+    return [
+      ...validateSchema(value, resolveRef(root, $ref), at, root),
+      ...validateSchema(value, rest, at, root)
+    ];
+  }
+
+  const where = at || '(root)';
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.anyOf && schema.anyOf.every(option => validateSchema(value, option, at, root).length > 0)) {
+    errors.push(`${where}: does not match any allowed shape`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where}: needs at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`, root)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing required property "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const path = at ? `${at}.${key}` : key;
+      if (schema.properties?.[key]) {
+        errors.push(...validateSchema(child, schema.properties[key], path, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${where}: unknown property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(child, schema.additionalProperties, path, root));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load a schema file by path, caching it for later calls
+ */
+const schemaCache = new Map();
+function loadSchema(file) {
+  if (!schemaCache.has(file)) {
+    schemaCache.set(file, JSON.parse(fs.readFileSync(file, 'utf-8')));
+  }
+  return schemaCache.get(file);
+}
+
+/**
+ * Find object keys that appear more than once in a JSON document.
+ * Returns [{ path, key, line }] for every repeat; assumes the text is valid JSON.
+ */
+function findDuplicateKeys(text) {
+  const duplicates = [];
+  let pos = 0;
+
+  const lineAt = index => text.slice(0, index).split('\n').length;
+  const skipSpace = () => { while (/\s/.test(text[pos])) pos++; };
+
+  function readString() {
+    const start = pos;
+    pos++;
+    while (text[pos] !== '"') pos += text[pos] === '\\' ? 2 : 1;
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  }
+
+  function readValue(at) {
+    skipSpace();
+    if (text[pos] === '{') {
+      pos++;
+      const keys = new Set();
+      skipSpace();
+      while (text[pos] !== '}') {
+        skipSpace();
+        const keyStart = pos;
+        const key = readString();
+        const path = at ? `${at}.${key}` : key;
+        if (keys.has(key)) duplicates.push({ path, key, line: lineAt(keyStart) });
+        keys.add(key);
+        skipSpace();
+        pos++; // colon
+        readValue(path);
+        skipSpace();
+        if (text[pos] === ',') pos++;
+        skipSpace();
+      }
+      pos++;
+    } else if (text[pos] === '[') {
+      pos++;
+      let i = 0;
+      skipSpace();
+      while (text[pos] !== ']') {
+        readValue(`${at}[${i++}]`);
+        skipSpace();
+        if (text[pos] === ',') pos++;
+        skipSpace();
+      }
+      pos++;
+    } else if (text[pos] === '"') {
+      readString();
+    } else {
+      while (pos < text.length && !/[\s,}\]]/.test(text[pos])) pos++;
+    }
+  }
+
+  readValue('');
+  return duplicates;
+}
+
+module.exports = {
+  validateSchema,
+  loadSchema,
+  findDuplicateKeys
+};
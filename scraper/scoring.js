@@ -0,0 +1,275 @@
+/**
+ * Relevance Scoring Engine
+ * Word-boundary, alias-aware keyword matching with weights loaded from
+ * config/scoring.json. Articles in other languages also match the keywords'
+ * translations for their language. Every point awarded is recorded in a
+ * breakdown so the ranking of a story can be explained.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  SOURCES,
+  HIGH_IMPACT_KEYWORDS,
+  BIG_TECH_COMPANIES,
+  RELEVANT_TOPICS,
+  EXCLUDED_PATTERNS,
+  CATEGORIES,
+  OTHER_CATEGORY
+} = require('./sources');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'config', 'scoring.json');
+
+const DEFAULT_CONFIG = {
+  minScore: 3,
+  weights: {
+    company: 2,
+    highImpact: 3,
+    topic: 1,
+    companyInTitle: 2,
+    sourcePriority: { 1: 1, 2: 0, 3: 0 }
+  },
+  descriptionLength: 500,
+  aliases: {},
+  translations: {},
+  minScoreByLanguage: {},
+  caseSensitive: [],
+  categorization: {
+    titleWeight: 2,
+    minConfidence: 0.25,
+    maxLabels: 3
+  }
+};
+
+/**
+ * Load scoring config, falling back to defaults for anything not set
+ */
+function loadScoringConfig(file = CONFIG_PATH) {
+  let config = {};
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`Invalid scoring config ${file}: ${error.message}`);
+  }
+  return {
+    ...DEFAULT_CONFIG,
+    ...config,
+    weights: { ...DEFAULT_CONFIG.weights, ...config.weights },
+    categorization: { ...DEFAULT_CONFIG.categorization, ...config.categorization }
+  };
+}
+
+const SCORING = loadScoringConfig();
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Scripts written without spaces between words, where word boundaries can't be used
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+/**
+ * Regex source matching a term as a whole word (optionally plural), treating
+ * spaces and hyphens inside multi-word terms as interchangeable. Chinese and
+ * Japanese terms match anywhere in the text.
+ */
+function wordPattern(term) {
+  const body = term.trim().split(/[\s-]+/).map(escapeRegExp).join('[\\s-]+');
+  if (UNSPACED_SCRIPT.test(term)) return body;
+  const plural = /[a-z]$/i.test(term) ? '(?:s|es)?' : '';
+  return `(?<![\\p{L}\\p{N}])${body}${plural}(?![\\p{L}\\p{N}])`;
+}
+
+/**
+ * Compile a keyword list into matchers. Each matcher covers the term plus its
+ * configured aliases and, for a language other than English, its translations
+ * into that language; terms listed as case-sensitive only match with their
+ * configured capitalization (or in all caps), so "Arm" the company doesn't
+ * match "arm" the limb. Matches are always reported as the English term.
+ */
+function compileTerms(terms, config = SCORING, language = 'en') {
+  const caseSensitive = new Map(config.caseSensitive.map(t => [t.toLowerCase(), t]));
+  const translations = config.translations?.[language] || {};
+
+  return terms.map(term => {
+    const key = term.toLowerCase();
+    const aliases = [...(config.aliases[key] || []), ...(translations[key] || [])];
+    const exact = caseSensitive.get(key);
+
+    const patterns = [];
+    if (exact) {
+      patterns.push(new RegExp(`${wordPattern(exact)}|${wordPattern(exact.toUpperCase())}`, 'u'));
+    } else {
+      patterns.push(new RegExp(wordPattern(term), 'iu'));
+    }
+    if (aliases.length > 0) {
+      patterns.push(new RegExp(aliases.map(wordPattern).join('|'), 'iu'));
+    }
+
+    return { term: key, test: text => patterns.some(pattern => pattern.test(text)) };
+  });
+}
+
+/**
+ * Compile every keyword list for one language
+ */
+function compileMatchers(language, config = SCORING) {
+  return {
+    companies: compileTerms(BIG_TECH_COMPANIES, config, language),
+    highImpact: compileTerms(HIGH_IMPACT_KEYWORDS, config, language),
+    topics: compileTerms(RELEVANT_TOPICS, config, language),
+    categories: Object.fromEntries(
+      Object.entries(CATEGORIES)
+        .filter(([key]) => key !== OTHER_CATEGORY)
+        .map(([key, category]) => [key, compileTerms(category.keywords, config, language)])
+    )
+  };
+}
+
+/**
+ * Matchers for an article's language, compiled once per language
+ */
+const matchersByLanguage = new Map();
+function matchersFor(language = 'en') {
+  if (!matchersByLanguage.has(language)) matchersByLanguage.set(language, compileMatchers(language));
+  return matchersByLanguage.get(language);
+}
+
+/**
+ * Lowest score an article in this language needs to make a digest. Languages
+ * with few translated keywords can be given a lower bar than English.
+ */
+function minScoreFor(language, config = SCORING) {
+  return config.minScoreByLanguage[language] ?? config.minScore;
+}
+
+/**
+ * Return the terms from a compiled list that appear in text
+ */
+function matchTerms(text, matchers) {
+  return matchers.filter(matcher => matcher.test(text)).map(matcher => matcher.term);
+}
+
+/**
+ * Why an article is excluded, or null: a global or per-source excluded pattern
+ * matching the title, or a source with include patterns that none match
+ */
+function findExclusion(article, text) {
+  const source = SOURCES[article.sourceKey];
+  const title = article.title || '';
+  const pattern = EXCLUDED_PATTERNS.find(p => p.test(title)) || source?.exclude.find(p => p.test(title));
+  if (pattern) return String(pattern);
+  if (source?.include && !source.include.some(p => p.test(text))) return `not included by ${article.sourceKey}`;
+  return null;
+}
+
+/**
+ * Score an article. Returns the total score, the matched terms ordered by the
+ * points they earned, and a breakdown listing each rule, term and points.
+ */
+function calculateRelevance(article, config = SCORING, matchers = matchersFor(article.language)) {
+  const title = article.title || '';
+  const description = (article.description || '').substring(0, config.descriptionLength);
+  const text = `${title} ${description}`;
+
+  const exclusion = findExclusion(article, text);
+  if (exclusion) {
+    return {
+      score: 0,
+      reasons: ['excluded'],
+      breakdown: [{ rule: 'excluded', term: exclusion, points: 0 }]
+    };
+  }
+
+  const { weights } = config;
+  const breakdown = [];
+
+  for (const term of matchTerms(text, matchers.companies)) {
+    breakdown.push({ rule: 'company', term, points: weights.company });
+  }
+  for (const term of matchTerms(text, matchers.highImpact)) {
+    breakdown.push({ rule: 'high-impact', term, points: weights.highImpact });
+  }
+  for (const term of matchTerms(text, matchers.topics)) {
+    breakdown.push({ rule: 'topic', term, points: weights.topic });
+  }
+
+  // The configured priority wins over the one stored with the article
+  const priority = SOURCES[article.sourceKey]?.priority || article.priority;
+  const priorityPoints = weights.sourcePriority[priority] || 0;
+  if (priorityPoints) {
+    breakdown.push({ rule: 'source-priority', term: `priority ${priority}`, points: priorityPoints });
+  }
+
+  for (const term of matchTerms(title, matchers.companies)) {
+    breakdown.push({ rule: 'company-in-title', term, points: weights.companyInTitle });
+  }
+
+  const score = breakdown.reduce((sum, item) => sum + item.points, 0);
+
+  // Rank matched terms by the total points they contributed
+  const pointsByTerm = new Map();
+  for (const item of breakdown) {
+    if (item.rule === 'source-priority') continue;
+    pointsByTerm.set(item.term, (pointsByTerm.get(item.term) || 0) + item.points);
+  }
+  const reasons = [...pointsByTerm.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([term]) => term);
+
+  return { score, reasons, breakdown };
+}
+
+/**
+ * Label an article with every category its keywords point to, limited to the
+ * source's category allowlist if it has one. A keyword in the title counts
+ * `titleWeight` times, one in the description once, and each category's
+ * confidence is its share of the total. Labels below `minConfidence` are
+ * dropped and at most `maxLabels` are kept, most confident first; the first
+ * is the primary category (ties go to the category defined first).
+ * An article nothing matches gets the "other" category.
+ *
+ * Returns { category, categories: [{ key, confidence }] }.
+ */
+function categorizeArticle(article, matchers = matchersFor(article.language), config = SCORING) {
+  const title = article.title || '';
+  const description = article.description || '';
+  const allowed = SOURCES[article.sourceKey]?.categories;
+  const { titleWeight, minConfidence, maxLabels } = config.categorization;
+
+  const weights = [];
+  for (const [key, categoryMatchers] of Object.entries(matchers.categories)) {
+    if (allowed && !allowed.includes(key)) continue;
+    const weight = categoryMatchers.reduce((sum, matcher) => {
+      if (matcher.test(title)) return sum + titleWeight;
+      return matcher.test(description) ? sum + 1 : sum;
+    }, 0);
+    if (weight > 0) weights.push({ key, weight });
+  }
+
+  const total = weights.reduce((sum, { weight }) => sum + weight, 0);
+  if (total === 0) {
+    return { category: OTHER_CATEGORY, categories: [{ key: OTHER_CATEGORY, confidence: 1 }] };
+  }
+
+  // Stable sort keeps definition order among equal weights
+  const categories = weights
+    .sort((a, b) => b.weight - a.weight)
+    .map(({ key, weight }) => ({ key, confidence: Math.round((weight / total) * 100) / 100 }))
+    .filter((label, i) => i === 0 || label.confidence >= minConfidence)
+    .slice(0, maxLabels);
+
+  return { category: categories[0].key, categories };
+}
+
+module.exports = {
+  CONFIG_PATH,
+  SCORING,
+  loadScoringConfig,
+  compileTerms,
+  matchersFor,
+  minScoreFor,
+  matchTerms,
+  calculateRelevance,
+  categorizeArticle
+};
@@ -0,0 +1,21 @@
+/**
+ * Published Site
+ * Where the site is published and what it's called, shared by the build and
+ * by scraper-side code that links to digest pages (webhook notifications).
+ */
+
+const SITE_URL = (process.env.SITE_URL || 'https://IT-Guy007.github.io/BigTechNews').replace(/\/+$/, '');
+const SITE_TITLE = 'Big Tech News';
+
+/**
+ * Public URL of the main site, or of a profile's site under /profiles/<key>
+ */
+function siteUrlFor(profile = null) {
+  return profile ? `${SITE_URL}/profiles/${profile}` : SITE_URL;
+}
+
+module.exports = {
+  SITE_URL,
+  SITE_TITLE,
+  siteUrlFor
+};
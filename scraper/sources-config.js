@@ -0,0 +1,189 @@
+/**
+ * Sources Config Loader
+ * Reads config/sources.json, checks it against config/sources.schema.json and
+ * for problems a schema can't express, and compiles its patterns.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateSchema, loadSchema } = require('./schema');
+
+const SOURCES_CONFIG_PATH = path.join(__dirname, '..', 'config', 'sources.json');
+const SOURCES_SCHEMA_PATH = path.join(__dirname, '..', 'config', 'sources.schema.json');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Built-in category for articles no configured category matches
+const OTHER_CATEGORY = 'other';
+const OTHER = { name: 'Other', icon: '📰', keywords: [] };
+
+/**
+ * Compile a pattern from the config. Patterns are regex sources matched case-insensitively.
+ */
+function compilePattern(source) {
+  return new RegExp(source, 'i');
+}
+
+/**
+ * Regex errors in a list of patterns, as messages prefixed with their path
+ */
+function patternErrors(patterns = [], at) {
+  const errors = [];
+  patterns.forEach((pattern, i) => {
+    try {
+      compilePattern(pattern);
+    } catch (error) {
+      errors.push(`${at}[${i}]: invalid regex: ${error.message}`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Terms listed more than once in the same list (case-insensitive)
+ */
+function duplicateTerms(terms = [], at) {
+  const seen = new Set();
+  const warnings = [];
+  terms.forEach((term, i) => {
+    const key = String(term).toLowerCase();
+    if (seen.has(key)) warnings.push(`${at}[${i}]: "${term}" is listed more than once`);
+    seen.add(key);
+  });
+  return warnings;
+}
+
+/**
+ * Categories that no article can end up in, or never as its primary category.
+ * The primary category is the one with the most keyword weight and ties go to
+ * the category defined first, so a category whose keywords are all shared
+ * with an earlier category is only ever a secondary label. Per-source
+ * allowlists can make a category primary for one source (by hiding the
+ * earlier category) or unreachable for all of them.
+ */
+function unreachableCategories(config) {
+  const categoryKeys = Object.keys(config.categories);
+  const keywordSets = Object.fromEntries(categoryKeys.map(key =>
+    [key, new Set(config.categories[key].keywords.map(k => k.toLowerCase()))]
+  ));
+  const enabled = Object.values(config.sources).filter(s => s.enabled !== false);
+
+  const warnings = [];
+  categoryKeys.forEach((key, index) => {
+    const allowedBy = enabled.filter(s => !s.categories || s.categories.includes(key));
+    if (allowedBy.length === 0) {
+      warnings.push(`categories.${key}: unreachable, no enabled source allows it`);
+      return;
+    }
+
+    const shadowedBy = source => categoryKeys.slice(0, index).find(earlier =>
+      (!source.categories || source.categories.includes(earlier)) &&
+      [...keywordSets[key]].every(k => keywordSets[earlier].has(k))
+    );
+    const shadows = allowedBy.map(shadowedBy);
+    if (shadows.every(Boolean)) {
+      warnings.push(`categories.${key}: never primary, every keyword is also in "${shadows[0]}", which wins ties`);
+    }
+  });
+  return warnings;
+}
+
+/**
+ * Check a parsed sources config. Errors (schema violations, bad regexes,
+ * unknown categories and regions) make the config unusable; warnings (duplicate terms and
+ * feeds, unreachable categories) are worth fixing but don't stop a run.
+ */
+function validateSourcesConfig(config, schema = loadSchema(SOURCES_SCHEMA_PATH)) {
+  const errors = validateSchema(config, schema);
+  if (errors.length > 0) return { errors, warnings: [] };
+
+  const warnings = [];
+  const categoryKeys = Object.keys(config.categories);
+  if (config.categories[OTHER_CATEGORY]) {
+    errors.push(`categories.${OTHER_CATEGORY}: reserved for articles no category matches`);
+  }
+
+  errors.push(...patternErrors(config.excludedPatterns, 'excludedPatterns'));
+  for (const list of ['highImpactKeywords', 'bigTechCompanies', 'relevantTopics', 'excludedPatterns']) {
+    warnings.push(...duplicateTerms(config[list], list));
+  }
+  for (const [key, category] of Object.entries(config.categories)) {
+    warnings.push(...duplicateTerms(category.keywords, `categories.${key}.keywords`));
+  }
+
+  const feeds = new Map();
+  for (const [key, source] of Object.entries(config.sources)) {
+    const at = `sources.${key}`;
+    errors.push(...patternErrors(source.include, `${at}.include`));
+    errors.push(...patternErrors(source.exclude, `${at}.exclude`));
+    for (const category of source.categories || []) {
+      if (!categoryKeys.includes(category)) errors.push(`${at}.categories: unknown category "${category}"`);
+    }
+    if (source.region && !config.regions?.[source.region]) errors.push(`${at}.region: unknown region "${source.region}"`);
+    if (feeds.has(source.rss)) warnings.push(`${at}.rss: same feed as sources.${feeds.get(source.rss)}`);
+    feeds.set(source.rss, key);
+  }
+
+  if (!Object.values(config.sources).some(s => s.enabled !== false)) {
+    errors.push('sources: no enabled sources');
+  }
+  warnings.push(...unreachableCategories(config));
+
+  return { errors, warnings };
+}
+
+/**
+ * Load, validate and compile the sources config. Throws listing every error.
+ */
+function loadSourcesConfig(file = SOURCES_CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Invalid sources config ${file}: ${error.message}`);
+  }
+
+  const { errors } = validateSourcesConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid sources config ${file}:\n  ${errors.join('\n  ')}\nRun "npm run validate-config" for details.`);
+  }
+
+  const sources = Object.fromEntries(Object.entries(config.sources).map(([key, source]) => [key, {
+    ...source,
+    priority: source.priority || 2,
+    enabled: source.enabled !== false,
+    language: source.language || DEFAULT_LANGUAGE,
+    region: source.region || null,
+    include: source.include?.length ? source.include.map(compilePattern) : null,
+    exclude: (source.exclude || []).map(compilePattern),
+    categories: source.categories || null
+  }]));
+
+  return {
+    SOURCES: sources,
+    HIGH_IMPACT_KEYWORDS: config.highImpactKeywords,
+    BIG_TECH_COMPANIES: config.bigTechCompanies,
+    RELEVANT_TOPICS: config.relevantTopics,
+    EXCLUDED_PATTERNS: config.excludedPatterns.map(compilePattern),
+    CATEGORIES: { ...config.categories, [OTHER_CATEGORY]: OTHER },
+    REGIONS: config.regions || {}
+  };
+}
+
+/**
+ * Sources that should be fetched
+ */
+function enabledSources(sources) {
+  return Object.fromEntries(Object.entries(sources).filter(([, source]) => source.enabled));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  OTHER_CATEGORY,
+  SOURCES_CONFIG_PATH,
+  SOURCES_SCHEMA_PATH,
+  compilePattern,
+  validateSourcesConfig,
+  loadSourcesConfig,
+  enabledSources
+};
@@ -0,0 +1,183 @@
+/**
+ * Article Store
+ * Append-only archive of every scraped article, keyed by canonical link.
+ * Articles are sharded into one JSON Lines file per publication month
+ * (data/articles/YYYY-MM.jsonl) so weekly, monthly and backfill digests can be
+ * built from everything seen during the period, not just the current feed.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parseISO, isValid } = require('date-fns');
+
+const STORE_DIR = path.join(__dirname, '..', 'data', 'articles');
+
+// Query parameters that only track the click and never change the article
+const TRACKING_PARAMS = [
+  /^utm_/i, /^fbclid$/i, /^gclid$/i, /^mc_(cid|eid)$/i, /^ref$/i, /^ref_src$/i,
+  /^guccounter$/i, /^guce_/i, /^cmpid$/i, /^taid$/i, /^__source$/i
+];
+
+/**
+ * Normalize a link so the same article from different feed runs maps to one key
+ */
+function canonicalLink(link) {
+  if (!link) return '';
+  try {
+    const url = new URL(link.trim());
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase();
+    if (url.protocol === 'http:') url.protocol = 'https:';
+    for (const key of [...url.searchParams.keys()]) {
+      if (TRACKING_PARAMS.some(pattern => pattern.test(key))) url.searchParams.delete(key);
+    }
+    if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+      url.pathname = url.pathname.replace(/\/+$/, '');
+    }
+    return url.toString();
+  } catch {
+    return link.trim();
+  }
+}
+
+/**
+ * Parse an article date (ISO 8601, or RFC 822 as RSS pubDate uses), returning
+ * null if it is missing or invalid
+ */
+function parseDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return isValid(value) ? value : null;
+  const iso = parseISO(value);
+  if (isValid(iso)) return iso;
+  const date = new Date(value);
+  return isValid(date) ? date : null;
+}
+
+/**
+ * Shard key (UTC month, YYYY-MM) for an instant. Shards don't depend on the
+ * runner's or the editorial timezone.
+ */
+function shardKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Shard keys of the months before and after a shard
+ */
+function neighbourShards(shard) {
+  const [year, month] = shard.split('-').map(Number);
+  return [-2, 0].map(offset => shardKey(new Date(Date.UTC(year, month + offset, 1))));
+}
+
+/**
+ * Shard key for an article, falling back to when it was first seen
+ */
+function shardFor(article) {
+  return shardKey(parseDate(article.published) || parseDate(article.firstSeen) || new Date());
+}
+
+/**
+ * Read all articles from one shard file
+ */
+async function readShard(shard, dir = STORE_DIR) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(dir, `${shard}.jsonl`), 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const articles = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      articles.push(JSON.parse(line));
+    } catch {
+      console.error(`  ⚠ Skipping corrupt line in articles/${shard}.jsonl`);
+    }
+  }
+  return articles;
+}
+
+/**
+ * Append newly seen articles to the store. Links already stored in the
+ * article's shard or the months either side are left untouched, so an article
+ * first stored under its fetch time isn't added again once a feed dates it.
+ * Articles without a valid published date are stored as published when they
+ * were fetched, so date-range loads still find them.
+ * Returns the number of articles added.
+ */
+async function appendArticles(articles, dir = STORE_DIR) {
+  await fs.mkdir(dir, { recursive: true });
+  const firstSeen = new Date().toISOString();
+
+  const byShard = {};
+  const undated = new Set();
+  for (const article of articles) {
+    const key = canonicalLink(article.link);
+    if (!key) continue;
+    const dated = parseDate(article.published) ? article : { ...article, published: firstSeen };
+    if (dated !== article) undated.add(key);
+    const shard = shardFor(dated);
+    if (!byShard[shard]) byShard[shard] = [];
+    byShard[shard].push({ ...dated, key, firstSeen });
+  }
+
+  const shards = new Set(Object.keys(byShard).flatMap(shard => [shard, ...neighbourShards(shard)]));
+  const seen = new Set();
+  for (const shard of shards) {
+    for (const article of await readShard(shard, dir)) seen.add(article.key);
+  }
+
+  let added = 0;
+  let addedUndated = 0;
+  for (const [shard, shardArticles] of Object.entries(byShard)) {
+    const lines = [];
+    for (const article of shardArticles) {
+      if (seen.has(article.key)) continue;
+      seen.add(article.key);
+      lines.push(JSON.stringify(article));
+      if (undated.has(article.key)) addedUndated++;
+    }
+    if (lines.length > 0) {
+      await fs.appendFile(path.join(dir, `${shard}.jsonl`), lines.join('\n') + '\n');
+      added += lines.length;
+    }
+  }
+
+  if (addedUndated > 0) {
+    console.log(`  ⚠ ${addedUndated} new article${addedUndated !== 1 ? 's' : ''} had no valid published date; stored under the fetch time`);
+  }
+  return added;
+}
+
+/**
+ * Load stored articles published between start and end (inclusive) from the
+ * store in dir. Only the monthly shards overlapping the range are read. Articles stored
+ * without a valid published date count as published when first seen.
+ */
+async function loadArticles(start, end, dir = STORE_DIR) {
+  const articles = [];
+  const seen = new Set();
+
+  const first = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+  for (let month = first; month <= end; month = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1))) {
+    for (const article of await readShard(shardKey(month), dir)) {
+      if (seen.has(article.key)) continue;
+      const published = parseDate(article.published) || parseDate(article.firstSeen);
+      if (!published || published < start || published > end) continue;
+      seen.add(article.key);
+      articles.push(article);
+    }
+  }
+
+  return articles;
+}
+
+module.exports = {
+  STORE_DIR,
+  canonicalLink,
+  appendArticles,
+  loadArticles
+};
@@ -0,0 +1,15 @@
+/**
+ * Shared Helpers
+ * Small helpers used across the scraper's network code.
+ */
+
+/**
+ * Resolve after `ms` milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  sleep
+};
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Config Validator
+ * Checks every JSON file in config/ for syntax errors and duplicate keys, then
+ * validates the sources config (schema, regexes, category references and
+ * unreachable categories), the scoring config's keyword references, the
+ * profiles' source and category references, the editorial overrides' digest
+ * IDs, links and categories and the editorial timezone.
+ *
+ * Usage: node scraper/validate-config.js [config-dir]
+ * Exits with status 1 when any error is found; warnings alone don't fail.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findDuplicateKeys } = require('./schema');
+const { OTHER_CATEGORY, validateSourcesConfig } = require('./sources-config');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+
+/**
+ * Parse a JSON file, reporting syntax errors and duplicate keys
+ */
+function checkJSON(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  try {
+    const data = JSON.parse(text);
+    const errors = findDuplicateKeys(text).map(d => `line ${d.line}: duplicate key "${d.key}" (${d.path}); only the last value is used`);
+    return { data, errors };
+  } catch (error) {
+    return { data: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+}
+
+/**
+ * Aliases, translations and case-sensitive terms in scoring.json that don't belong to any keyword list
+ */
+function checkScoring(scoring, sources) {
+  const terms = new Set([
+    ...sources.highImpactKeywords,
+    ...sources.bigTechCompanies,
+    ...sources.relevantTopics,
+    ...Object.values(sources.categories).flatMap(c => c.keywords)
+  ].map(t => t.toLowerCase()));
+
+  const warnings = [];
+  for (const key of Object.keys(scoring.aliases || {})) {
+    if (!terms.has(key.toLowerCase())) warnings.push(`aliases.${key}: not a keyword in sources.json, never used`);
+  }
+  for (const term of scoring.caseSensitive || []) {
+    if (!terms.has(term.toLowerCase())) warnings.push(`caseSensitive: "${term}" is not a keyword in sources.json`);
+  }
+  for (const [language, translations] of Object.entries(scoring.translations || {})) {
+    for (const key of Object.keys(translations)) {
+      if (!terms.has(key.toLowerCase())) warnings.push(`translations.${language}.${key}: not a keyword in sources.json, never used`);
+    }
+  }
+  return warnings;
+}
+
+/**
+ * The editorial timezone must be an IANA name Intl knows. Checked here rather
+ * than via dates.js, which refuses to load with an invalid one.
+ */
+function checkEditorial(editorial) {
+  try {
+    if (typeof editorial.timezone !== 'string') throw new Error();
+    new Intl.DateTimeFormat('en-US', { timeZone: editorial.timezone });
+    return [];
+  } catch {
+    return [`timezone: "${editorial.timezone}" is not an IANA timezone name (e.g. "Europe/Amsterdam")`];
+  }
+}
+
+function main() {
+  const dir = path.resolve(process.argv[2] || CONFIG_DIR);
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+  const checked = Object.fromEntries(files.map(file => [file, checkJSON(path.join(dir, file))]));
+  const sources = checked['sources.json']?.data;
+  const sourcesResult = sources ? validateSourcesConfig(sources) : null;
+  const editorialValid = !checked['editorial.json']?.data || checkEditorial(checked['editorial.json'].data).length === 0;
+
+  let errorCount = 0;
+  let warningCount = 0;
+
+  if (!checked['sources.json']) {
+    console.log('✗ sources.json is missing');
+    errorCount++;
+  }
+
+  for (const file of files) {
+    const { data, errors } = checked[file];
+    const warnings = [];
+    if (data && file === 'sources.json') {
+      errors.push(...sourcesResult.errors);
+      warnings.push(...sourcesResult.warnings);
+    }
+    if (data && file === 'scoring.json' && sources) {
+      warnings.push(...checkScoring(data, sources));
+    }
+    if (data && file === 'editorial.json') {
+      errors.push(...checkEditorial(data));
+    }
+    if (data && file === 'profiles.json' && sourcesResult?.errors.length === 0) {
+      // Loading the profiles module loads the sources config, so only once it's known to be valid
+      const { validateProfilesConfig } = require('./profiles');
+      const result = validateProfilesConfig(data, { ...sources, categories: { ...sources.categories, [OTHER_CATEGORY]: {} } });
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+    }
+    if (data && file === 'overrides.json' && editorialValid) {
+      // The overrides module loads dates.js, which throws on an invalid editorial timezone
+      const { validateOverridesConfig } = require('./overrides');
+      const result = validateOverridesConfig(data, { categories: { ...sources?.categories, [OTHER_CATEGORY]: {} } });
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+    }
+
+    errorCount += errors.length;
+    warningCount += warnings.length;
+    const mark = errors.length > 0 ? '✗' : warnings.length > 0 ? '⚠' : '✓';
+    console.log(`${mark} ${file}`);
+    for (const error of errors) console.log(`    ✗ ${error}`);
+    for (const warning of warnings) console.log(`    ⚠ ${warning}`);
+  }
+
+  console.log(`\n${errorCount} error${errorCount !== 1 ? 's' : ''}, ${warningCount} warning${warningCount !== 1 ? 's' : ''}`);
+  process.exit(errorCount > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Data Verifier
+ * Checks every digest and index.json in data/ and data/profiles/<key>/
+ * against the digest and index schemas, and reports orphans: digests with
+ * stories that index.json doesn't list, index entries whose file is gone,
+ * and profile directories no configured profile uses.
+ *
+ * Usage: node scraper/verify-data.js [--upgrade]
+ *
+ * Options:
+ *   --upgrade  Rewrite valid files in an older format in the current one
+ *
+ * Exits with status 1 when any error is found; warnings alone don't fail.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { findDuplicateKeys } = require('./schema');
+const { loadProfiles } = require('./profiles');
+const { DATA_SCHEMA_VERSION, upgradeData, digestErrors, validateIndex } = require('./data-format');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const TYPES = ['daily', 'weekly', 'monthly'];
+
+async function listDir(dir) {
+  try {
+    return (await fs.readdir(dir)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Parse and upgrade a data file, reporting syntax errors, duplicate keys and
+ * versions this code can't read. `data` is null when the file is unusable.
+ */
+async function checkFile(file) {
+  const text = await fs.readFile(file, 'utf-8');
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (error) {
+    return { data: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  const errors = findDuplicateKeys(text).map(d => `line ${d.line}: duplicate key "${d.key}" (${d.path})`);
+  try {
+    const data = upgradeData(raw);
+    return { data, errors, outdated: raw?.schemaVersion !== DATA_SCHEMA_VERSION };
+  } catch (error) {
+    return { data: null, errors: [...errors, error.message] };
+  }
+}
+
+/**
+ * Check one data directory. Returns { files: { name: { errors, warnings } }, counts, upgradable }.
+ */
+async function verifyDir(dir, profileKey) {
+  const files = {};
+  const counts = {};
+  const upgradable = [];
+  const withStories = new Set();
+  const report = (name, errors = [], warnings = []) => {
+    if (errors.length > 0 || warnings.length > 0) files[name] = { errors, warnings };
+  };
+
+  for (const type of TYPES) {
+    const names = await listDir(path.join(dir, type));
+    counts[type] = 0;
+    for (const name of names) {
+      const file = path.join(dir, type, name);
+      if (!name.endsWith('.json')) {
+        report(`${type}/${name}`, [], ['not a digest (expected <id>.json), ignored']);
+        continue;
+      }
+
+      counts[type]++;
+      const { data, errors, outdated } = await checkFile(file);
+      const warnings = [];
+      if (data) {
+        errors.push(...digestErrors(data, file));
+        if (data.type && data.type !== type) errors.push(`type: "${data.type}" digest stored under ${type}/`);
+        if ((data.profile ?? null) !== profileKey) {
+          warnings.push(profileKey ? `profile: expected "${profileKey}", got ${JSON.stringify(data.profile ?? null)}` : `profile: "${data.profile}" digest stored in the main data directory`);
+        }
+        if (data.totalArticles > 0) withStories.add(`${type}/${data.id}`);
+      }
+      if (errors.length === 0 && outdated) upgradable.push({ file, data });
+      report(`${type}/${name}`, errors, warnings);
+    }
+  }
+
+  // index.json: valid, and in step with the digests on disk
+  const indexFile = path.join(dir, 'index.json');
+  const hasDigests = Object.values(counts).some(count => count > 0);
+  let index = null;
+  try {
+    const { data, errors, outdated } = await checkFile(indexFile);
+    if (data) errors.push(...validateIndex(data));
+    if (errors.length === 0) {
+      index = data;
+      if (outdated) upgradable.push({ file: indexFile, data });
+    }
+    report('index.json', errors);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    if (hasDigests) report('index.json', ['missing; run a scrape or regenerate to rebuild it']);
+  }
+
+  if (index) {
+    const listed = new Set();
+    const errors = [];
+    for (const type of TYPES) {
+      for (const entry of index[type]) {
+        const key = `${type}/${entry.id}`;
+        listed.add(key);
+        if (!withStories.has(key)) errors.push(`${key}: listed, but ${key}.json is missing, invalid or has no stories`);
+      }
+    }
+    if (errors.length > 0) report('index.json', [...(files['index.json']?.errors || []), ...errors]);
+
+    for (const key of withStories) {
+      if (!listed.has(key)) {
+        const name = `${key}.json`;
+        report(name, [...(files[name]?.errors || []), 'orphaned: has stories but is not listed in index.json'], files[name]?.warnings);
+      }
+    }
+  }
+
+  return { files, counts, upgradable };
+}
+
+async function main() {
+  const upgrade = process.argv.includes('--upgrade');
+  const profiles = loadProfiles();
+  const dirs = [{ dir: DATA_DIR, profileKey: null }];
+  let errorCount = 0;
+  let warningCount = 0;
+
+  const profileDirs = await listDir(path.join(DATA_DIR, 'profiles'));
+  for (const key of profileDirs) {
+    if (profiles[key]) {
+      dirs.push({ dir: path.join(DATA_DIR, 'profiles', key), profileKey: key });
+    } else {
+      console.log(`⚠ data/profiles/${key}/`);
+      console.log(`    ⚠ orphaned: no profile "${key}" in config/profiles.json`);
+      warningCount++;
+    }
+  }
+
+  let upgraded = 0;
+  for (const { dir, profileKey } of dirs) {
+    const { files, counts, upgradable } = await verifyDir(dir, profileKey);
+    const relDir = path.relative(path.join(DATA_DIR, '..'), dir);
+    const problems = Object.entries(files);
+    const errors = problems.reduce((sum, [, f]) => sum + f.errors.length, 0);
+    const warnings = problems.reduce((sum, [, f]) => sum + f.warnings.length, 0);
+    errorCount += errors;
+    warningCount += warnings;
+
+    const mark = errors > 0 ? '✗' : warnings > 0 ? '⚠' : '✓';
+    console.log(`${mark} ${relDir}/ (${TYPES.map(type => `${counts[type]} ${type}`).join(', ')})`);
+    for (const [name, { errors: fileErrors, warnings: fileWarnings }] of problems) {
+      console.log(`  ${relDir}/${name}`);
+      for (const error of fileErrors) console.log(`    ✗ ${error}`);
+      for (const warning of fileWarnings) console.log(`    ⚠ ${warning}`);
+    }
+
+    if (upgradable.length === 0) continue;
+    if (upgrade) {
+      for (const { file, data } of upgradable) await fs.writeFile(file, JSON.stringify(data, null, 2));
+      upgraded += upgradable.length;
+    } else {
+      console.log(`  ${upgradable.length} file${upgradable.length !== 1 ? 's' : ''} in an older format (upgraded when read; --upgrade rewrites them)`);
+    }
+  }
+
+  if (upgraded > 0) console.log(`\n✓ Upgraded ${upgraded} file${upgraded !== 1 ? 's' : ''} to schemaVersion ${DATA_SCHEMA_VERSION}`);
+  console.log(`\n${errorCount} error${errorCount !== 1 ? 's' : ''}, ${warningCount} warning${warningCount !== 1 ? 's' : ''}`);
+  process.exit(errorCount > 0 ? 1 : 0);
+}
+
+main().catch(error => { console.error(error); process.exit(1); });
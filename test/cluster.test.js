@@ -0,0 +1,40 @@
+/**
+ * Story Clustering Test
+ * Clusters differently worded coverage of one story in languages other than English.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, clusterStories } = require('../scraper/cluster');
+
+function article(source, language, title, description = '') {
+  return { title, description, link: `https://${source}.example/${encodeURIComponent(title)}`, source, language, published: '2026-03-04T08:00:00.000Z', relevanceScore: 5 };
+}
+
+test('keeps letters outside ASCII and splits CJK text into bigrams', () => {
+  assert.deepEqual(tokenize('Künstliche Intelligenz: Siemens übernimmt', 'de'), ['künstliche', 'intelligenz', 'siemens', 'übernimmt']);
+  assert.deepEqual(tokenize('ソフトバンク、OpenAIに追加出資', 'ja'), ['ソフ', 'フト', 'トバ', 'バン', 'ンク', 'openai', 'に追', '追加', '加出', '出資']);
+});
+
+test('only strips English plurals and stopwords from English text', () => {
+  assert.deepEqual(tokenize('The chips are here'), ['chip', 'here']);
+  assert.deepEqual(tokenize('Die Chips des Jahres', 'de'), ['die', 'chips', 'des', 'jahres']);
+});
+
+test('two wordings of one story in German cluster together', () => {
+  const stories = clusterStories([
+    article('heise', 'de', 'Siemens übernimmt KI-Start-up für Industriesoftware', 'Der Münchner Konzern kauft das Start-up für künstliche Intelligenz in der Fertigung.'),
+    article('golem', 'de', 'Industriesoftware: Siemens übernimmt KI-Start-up', 'Siemens kauft ein Start-up für künstliche Intelligenz in der Fertigung.'),
+    article('heise', 'de', 'Bahn erhöht die Ticketpreise im Fernverkehr', 'Ab Dezember kosten Fahrkarten mehr.')
+  ]);
+  assert.deepEqual(stories.map(s => s.coverage), [2, 1]);
+});
+
+test('two wordings of one story in Japanese cluster together', () => {
+  const stories = clusterStories([
+    article('itmedia', 'ja', 'ソフトバンク、OpenAIに追加出資', 'ソフトバンクグループはOpenAIへの追加出資を発表した。'),
+    article('nikkei', 'ja', 'ソフトバンクがOpenAIへ追加出資を発表', 'ソフトバンクグループがOpenAIに追加で出資する。'),
+    article('itmedia', 'ja', '任天堂、新型ゲーム機を発表', '任天堂は新しいゲーム機を発表した。')
+  ]);
+  assert.deepEqual(stories.map(s => s.coverage), [2, 1]);
+});
@@ -0,0 +1,118 @@
+/**
+ * Article Enrichment Test
+ * robots.txt handling and per-domain request spacing against a local HTTP
+ * stand-in, and what the enrich cache keeps.
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { parseRobots, robotsAllows, enrichDigest } = require('../scraper/enrich');
+
+const DOMAIN_DELAY = 50;
+const CRAWL_DELAY = 0.4;
+
+// "news" is a substring of our token but not our token; "*" is overridden by our own groups
+const ROBOTS = `User-agent: news
+Disallow: /
+
+User-agent: BigTechNews
+Disallow: /private/
+Allow: /private/open
+
+User-agent: *
+Disallow: /
+
+User-agent: bigtechnews/2.0
+Crawl-delay: ${CRAWL_DELAY}
+`;
+
+const PARAGRAPH = 'Nvidia will supply its Blackwell chips to power the data center behind the robotaxi fleet, the companies said on Wednesday.';
+const PAGE = `<!DOCTYPE html><html><head>
+<meta property="og:image" content="/images/lead.jpg">
+<meta name="author" content="Jane Reporter">
+<meta property="article:published_time" content="2026-03-04T08:00:00Z">
+</head><body><article>${[1, 2, 3, 4, 5].map(i => `<p>${PARAGRAPH} Paragraph ${i} adds more detail about the deal.</p>`).join('')}</article></body></html>`;
+
+let server;
+let baseUrl;
+let tmpDir;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push({ path: req.url, at: Date.now() });
+    if (req.url === '/robots.txt') res.writeHead(200, { 'Content-Type': 'text/plain' }).end(ROBOTS);
+    else res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end(PAGE);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'btn-enrich-'));
+  // Progress lines would interleave with the test runner's own output
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('reads every group naming our product token, and only those', () => {
+  const robots = parseRobots(ROBOTS);
+  assert.equal(robots.crawlDelay, CRAWL_DELAY);
+  assert.equal(robotsAllows(robots, '/story/1'), true);
+  assert.equal(robotsAllows(robots, '/private/secret'), false);
+  assert.equal(robotsAllows(robots, '/private/open-letter'), true);
+
+  // Substrings of our token don't name us, so the "*" group applies
+  for (const agent of ['news', 'tech', 'b']) {
+    assert.equal(robotsAllows(parseRobots(`User-agent: ${agent}\nDisallow: /\n\nUser-agent: *\nDisallow: /admin\n`), '/story/1'), true);
+  }
+});
+
+test('skips disallowed pages, spaces out requests and caches no article text', async () => {
+  const story = (slug, relevanceScore) => ({
+    title: `Story ${slug}`,
+    link: `${baseUrl}/${slug}`,
+    description: 'Short feed description.',
+    source: 'Stand-in',
+    relevanceScore,
+    articleScore: relevanceScore
+  });
+  const digest = { highlights: [story('story/1', 4), story('story/2', 3), story('private/secret', 2), story('private/open-letter', 1)], byCategory: {} };
+  const cacheFile = path.join(tmpDir, 'enrich-cache.json');
+
+  const enriched = await enrichDigest(digest, { cacheFile, concurrency: 2, domainDelay: DOMAIN_DELAY });
+  assert.equal(enriched, 3);
+
+  assert.deepEqual(requests.map(r => r.path).sort(), ['/private/open-letter', '/robots.txt', '/story/1', '/story/2']);
+  assert.equal(requests[0].path, '/robots.txt');
+  // Pages wait for the robots.txt Crawl-delay, far longer than the domain delay.
+  // Slots are reserved before each request is sent, so allow for jitter on arrival.
+  const pages = requests.slice(1);
+  for (let i = 1; i < pages.length; i++) {
+    const gap = pages[i].at - pages[i - 1].at;
+    assert.ok(gap >= CRAWL_DELAY * 1000 - 150, `${pages[i - 1].path} to ${pages[i].path}: ${gap}ms`);
+  }
+  assert.ok(pages.at(-1).at - pages[0].at >= 2 * CRAWL_DELAY * 1000 - 50);
+
+  const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+  const entries = Object.values(cache);
+  assert.equal(entries.length, 4);
+  assert.deepEqual(entries.map(e => e.status).sort(), ['blocked', 'ok', 'ok', 'ok']);
+  for (const entry of entries.filter(e => e.status === 'ok')) {
+    assert.equal(entry.text, undefined);
+    assert.equal(entry.author, 'Jane Reporter');
+    assert.equal(entry.image, `${baseUrl}/images/lead.jpg`);
+    assert.ok(entry.summary.startsWith('Nvidia will supply'));
+    assert.ok(entry.textRelevance.score > 0);
+  }
+
+  const [top] = digest.highlights;
+  assert.equal(top.enriched, true);
+  assert.ok(top.matchedKeywords.includes('nvidia'));
+});
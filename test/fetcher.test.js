@@ -0,0 +1,111 @@
+/**
+ * Feed Fetcher Test
+ * Retries, Retry-After, conditional GETs and the time budget, against the
+ * stand-in feed server serving the recorded feeds.
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startFeedServer } = require('./support/feed-server');
+const { fetchFeed, fetchAllFeeds } = require('../scraper/fetcher');
+
+const FEEDS_DIR = path.join(__dirname, 'fixtures', 'feeds');
+
+let tmpDir;
+const servers = [];
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'btn-fetcher-'));
+  // Progress lines would interleave with the test runner's own output
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(async () => {
+  await Promise.all(servers.map(server => server.close()));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function serve(options) {
+  const server = await startFeedServer(FEEDS_DIR, options);
+  servers.push(server);
+  return server;
+}
+
+function source(server, file) {
+  return { name: file, rss: `${server.url}/${file}` };
+}
+
+test('retries transient errors with backoff until the feed answers', async () => {
+  const server = await serve({ failures: { 'techcrunch.xml': { count: 2, status: 503 } } });
+  const { articles, health } = await fetchFeed('techcrunch', source(server, 'techcrunch.xml'), { retryDelay: 50, retries: 2, cacheFile: null });
+
+  assert.equal(health.status, 'ok');
+  assert.equal(health.attempts, 3);
+  assert.ok(articles.length > 0);
+  assert.deepEqual(server.log.map(r => r.status), [503, 503, 200]);
+  const [first, second, third] = server.log.map(r => r.at);
+  assert.ok(second - first >= 45, `first backoff: ${second - first}ms`);
+  assert.ok(third - second >= 95, `second backoff: ${third - second}ms`);
+});
+
+test('gives up after the last retry and waits as long as Retry-After asks', async () => {
+  const server = await serve({
+    failures: {
+      'theverge.xml': { count: 9, status: 503 },
+      'heise.xml': { count: 1, status: 429, retryAfter: 1 }
+    }
+  });
+
+  const down = await fetchFeed('theverge', source(server, 'theverge.xml'), { retryDelay: 10, retries: 2, cacheFile: null });
+  assert.equal(down.health.status, 'http-error');
+  assert.equal(down.health.httpStatus, 503);
+  assert.equal(down.health.attempts, 3);
+
+  const limited = await fetchFeed('heise', source(server, 'heise.xml'), { retryDelay: 10, retries: 2, cacheFile: null });
+  assert.equal(limited.health.status, 'ok');
+  const [first, second] = server.log.filter(r => r.name === 'heise.xml').map(r => r.at);
+  assert.ok(second - first >= 950, `Retry-After wait: ${second - first}ms`);
+});
+
+test('a second run sends the cached ETag and gets 304 Not Modified', async () => {
+  const server = await serve();
+  const cacheFile = path.join(tmpDir, 'feed-cache.json');
+  const sources = { techcrunch: source(server, 'techcrunch.xml') };
+
+  const first = await fetchAllFeeds(sources, { cacheFile });
+  assert.equal(first.results.techcrunch.status, 'ok');
+  const cache = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+  assert.match(cache.techcrunch.etag, /^"[0-9a-f]{40}"$/);
+
+  const second = await fetchAllFeeds(sources, { cacheFile });
+  assert.equal(second.results.techcrunch.status, 'not-modified');
+  assert.equal(second.results.techcrunch.httpStatus, 304);
+  assert.equal(second.results.techcrunch.newestItem, first.results.techcrunch.newestItem);
+  assert.deepEqual(second.articles, []);
+  assert.equal(server.log.at(-1).headers['if-none-match'], cache.techcrunch.etag);
+});
+
+test('sources still fetching or waiting when the budget runs out are skipped', async () => {
+  const server = await serve({ delays: { 'theverge.xml': 2000 } });
+  const started = Date.now();
+  const { results } = await fetchAllFeeds({
+    techcrunch: source(server, 'techcrunch.xml'),
+    theverge: source(server, 'theverge.xml')
+  }, { budget: 400, concurrency: 2, cacheFile: null });
+
+  assert.equal(results.techcrunch.status, 'ok');
+  assert.equal(results.theverge.status, 'skipped');
+  assert.ok(Date.now() - started < 1500);
+
+  // With one feed at a time, the next source never gets its turn
+  const queued = await fetchAllFeeds({
+    theverge: source(server, 'theverge.xml'),
+    techcrunch: source(server, 'techcrunch.xml')
+  }, { budget: 400, concurrency: 1, cacheFile: null });
+  assert.deepEqual([queued.results.theverge.status, queued.results.techcrunch.status], ['skipped', 'skipped']);
+  assert.equal(queued.results.techcrunch.attempts, 0);
+});
@@ -0,0 +1,92 @@
+/**
+ * Newsletter Delivery Test
+ * Sends the golden 2026-03-04 daily digest through build/newsletter.js to an
+ * in-process SMTP stand-in, and checks that a refused recipient or an
+ * unreachable server fails the run.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startSmtpServer } = require('./support/smtp-server');
+const { createWorkspace, removeWorkspace, runScript } = require('./support/workspace');
+
+const FEEDS_DIR = path.join(__dirname, 'fixtures', 'feeds');
+const GOLDEN_DATA_DIR = path.join(__dirname, 'golden', 'data');
+const FROZEN_TIME = '2026-03-04T06:30:00.000Z';
+const SEND_ARGS = ['--daily', '--id', '2026-03-04', '--send'];
+
+let workspace;
+
+before(() => {
+  // No feeds are fetched; the workspace only needs the code and the golden digests
+  workspace = createWorkspace(FEEDS_DIR, 'http://127.0.0.1:9');
+  fs.cpSync(GOLDEN_DATA_DIR, path.join(workspace, 'data'), { recursive: true });
+});
+
+after(() => {
+  if (workspace) removeWorkspace(workspace);
+});
+
+function subscribe(recipients) {
+  const file = path.join(workspace, 'config', 'newsletter.json');
+  const config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  config.subscribers = { daily: recipients };
+  fs.writeFileSync(file, JSON.stringify(config, null, 2));
+}
+
+function send(port) {
+  return runScript(workspace, 'build/newsletter.js', SEND_ARGS, FROZEN_TIME, { SMTP_HOST: '127.0.0.1', SMTP_PORT: String(port) });
+}
+
+test('delivers one message per subscriber', async () => {
+  const smtp = await startSmtpServer();
+  try {
+    subscribe(['ada@example.com', 'grace@example.com']);
+    const output = await send(smtp.port);
+    assert.match(output, /✓ Sent to 2 subscribers/);
+
+    assert.deepEqual(smtp.messages.map(m => m.to), [['ada@example.com'], ['grace@example.com']]);
+    for (const message of smtp.messages) {
+      assert.equal(message.from, 'digest@example.com');
+      // Undo quoted-printable soft line breaks before looking for the headline
+      const body = message.data.replace(/=\r\n/g, '');
+      assert.match(body, /^X-Digest-ID: daily\/2026-03-04$/m);
+      assert.match(body, /^To: [a-z]+@example\.com$/m);
+      assert.match(body, /Nvidia to supply Blackwell chips for Tesla robotaxi fleet/);
+    }
+  } finally {
+    await smtp.close();
+  }
+});
+
+test('fails the run when a recipient is refused', async () => {
+  const smtp = await startSmtpServer({ reject: ['nobody@example.com'] });
+  try {
+    subscribe(['ada@example.com', 'nobody@example.com']);
+    await assert.rejects(send(smtp.port), error => {
+      assert.equal(error.code, 1);
+      assert.match(error.message, /✓ Sent to 1 subscriber\b/);
+      assert.match(error.message, /Failed to send to 1 subscriber: nobody@example\.com/);
+      return true;
+    });
+    assert.deepEqual(smtp.messages.map(m => m.to), [['ada@example.com']]);
+  } finally {
+    await smtp.close();
+  }
+});
+
+test('fails the run when the SMTP server is unreachable', async () => {
+  const smtp = await startSmtpServer();
+  const { port } = smtp;
+  await smtp.close();
+
+  subscribe(['ada@example.com']);
+  await assert.rejects(send(port), error => {
+    assert.equal(error.code, 1);
+    assert.match(error.message, /✓ Sent to 0 subscribers/);
+    assert.match(error.message, /Failed to send to 1 subscriber: ada@example\.com/);
+    return true;
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Webhook Notifier Test
+ * Announces the golden 2026-03-04 daily digest to a local HTTP stand-in for
+ * each webhook type, and checks that a re-run doesn't post it again and that
+ * webhooks whose URL environment variable is unset are skipped.
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { notifyDigest } = require('../scraper/notifier');
+const { siteUrlFor } = require('../scraper/site');
+
+const DIGEST_FILE = path.join(__dirname, 'golden', 'data', 'daily', '2026-03-04.json');
+const MAX_ITEMS = 3;
+
+let server;
+let baseUrl;
+let tmpDir;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, body: JSON.parse(body) });
+      res.writeHead(req.url === '/refused' ? 400 : 200).end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'btn-notifier-'));
+  // Progress lines would interleave with the test runner's own output
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function writeConfig(webhooks) {
+  const file = path.join(tmpDir, 'webhooks.json');
+  fs.writeFileSync(file, JSON.stringify({ maxItems: MAX_ITEMS, retries: 0, retryDelay: 1, webhooks }));
+  return file;
+}
+
+function posted(type) {
+  return requests.filter(r => r.path === `/${type}`).map(r => r.body);
+}
+
+test('posts each webhook type its payload shape, once per digest', async () => {
+  const digest = JSON.parse(fs.readFileSync(DIGEST_FILE, 'utf-8'));
+  const top = digest.highlights.slice(0, MAX_ITEMS);
+  const pageUrl = `${siteUrlFor(null)}/daily/2026-03-04.html`;
+  const options = {
+    configFile: writeConfig(['slack', 'discord', 'teams', 'json'].map(type => ({ name: type, type, url: `${baseUrl}/${type}` }))),
+    announcedFile: path.join(tmpDir, 'announced.json')
+  };
+
+  assert.deepEqual(await notifyDigest(digest, options), ['slack', 'discord', 'teams', 'json']);
+
+  const [slack] = posted('slack');
+  assert.deepEqual(slack.blocks.map(b => b.type), ['header', 'context', ...top.map(() => 'section'), 'actions']);
+  assert.equal(slack.blocks[0].text.text, 'Daily Digest — Wednesday, Mar 4');
+  assert.ok(slack.blocks[2].text.text.startsWith(`*1. <${top[0].link}|${top[0].title}>*`));
+  assert.equal(slack.blocks.at(-1).elements[0].url, pageUrl);
+
+  const [discord] = posted('discord');
+  assert.equal(discord.embeds.length, 1);
+  assert.equal(discord.embeds[0].url, pageUrl);
+  assert.equal(discord.embeds[0].timestamp, digest.generatedAt);
+  for (const story of top) assert.ok(discord.embeds[0].description.includes(`](${story.link})`));
+
+  const [teams] = posted('teams');
+  const card = teams.attachments[0];
+  assert.equal(card.contentType, 'application/vnd.microsoft.card.adaptive');
+  assert.equal(card.content.type, 'AdaptiveCard');
+  assert.equal(card.content.body.length, 2 + 2 * top.length);
+  assert.equal(card.content.actions[0].url, pageUrl);
+
+  const [json] = posted('json');
+  assert.deepEqual(json.digest, { type: 'daily', id: '2026-03-04', title: digest.title, dateRange: digest.dateRange, totalArticles: digest.totalArticles, url: pageUrl });
+  assert.deepEqual(json.items.map(item => item.link), top.map(story => story.link));
+
+  const announced = JSON.parse(fs.readFileSync(options.announcedFile, 'utf-8'));
+  assert.deepEqual(Object.keys(announced), ['slack', 'discord', 'teams', 'json']);
+  assert.ok(announced.slack['daily/2026-03-04']);
+
+  // A re-run finds every webhook in announced.json and posts nothing
+  const count = requests.length;
+  assert.deepEqual(await notifyDigest(digest, options), []);
+  assert.equal(requests.length, count);
+});
+
+test('a refused post is not recorded, so the next run tries again', async () => {
+  const digest = JSON.parse(fs.readFileSync(DIGEST_FILE, 'utf-8'));
+  const options = {
+    configFile: writeConfig([{ name: 'refused', type: 'json', url: `${baseUrl}/refused` }]),
+    announcedFile: path.join(tmpDir, 'announced-refused.json')
+  };
+
+  assert.deepEqual(await notifyDigest(digest, options), []);
+  assert.equal(fs.existsSync(options.announcedFile), false);
+  assert.deepEqual(await notifyDigest(digest, options), []);
+  assert.equal(posted('refused').length, 2);
+});
+
+test('a webhook whose urlEnv is unset is skipped quietly', async () => {
+  const digest = JSON.parse(fs.readFileSync(DIGEST_FILE, 'utf-8'));
+  const options = {
+    configFile: writeConfig([
+      { name: 'unset', type: 'json', urlEnv: 'BTN_TEST_UNSET_WEBHOOK_URL' },
+      { name: 'set', type: 'json', urlEnv: 'BTN_TEST_SET_WEBHOOK_URL' }
+    ]),
+    announcedFile: path.join(tmpDir, 'announced-env.json')
+  };
+
+  delete process.env.BTN_TEST_UNSET_WEBHOOK_URL;
+  process.env.BTN_TEST_SET_WEBHOOK_URL = `${baseUrl}/from-env`;
+  const warnings = console.error.mock.callCount();
+  try {
+    assert.deepEqual(await notifyDigest(digest, options), ['set']);
+  } finally {
+    delete process.env.BTN_TEST_SET_WEBHOOK_URL;
+  }
+  assert.equal(posted('from-env').length, 1);
+  assert.equal(console.error.mock.callCount(), warnings);
+});
@@ -0,0 +1,137 @@
+/**
+ * Editorial Overrides Test
+ * Applies overrides while processing articles and to a saved golden digest.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseDigest } = require('../scraper/data-format');
+const { editorialRange, periodOf } = require('../scraper/dates');
+const { processArticles } = require('../scraper/index');
+const { NO_OVERRIDES, compileOverrides, overridesFor, validateOverridesConfig, rankStories, applyOverrides } = require('../scraper/overrides');
+
+const DIGEST_FILE = path.join(__dirname, 'golden', 'data', 'daily', '2026-03-04.json');
+
+const NVIDIA = 'https://techcrunch.com/2026/03/04/nvidia-blackwell-chips-tesla-robotaxi-fleet/';
+const ANTHROPIC = 'https://techcrunch.com/2026/03/04/anthropic-raises-5-billion/';
+const APPLE = 'https://www.theverge.com/2026/3/3/eu-antitrust-apple-app-store';
+const PIXEL = 'https://techcrunch.com/2026/03/04/google-pixel-camera-night-mode/';
+
+function goldenDigest() {
+  return parseDigest(fs.readFileSync(DIGEST_FILE, 'utf-8'), DIGEST_FILE);
+}
+
+/**
+ * The golden digest's stories as the articles they were built from
+ */
+function goldenArticles() {
+  return goldenDigest().highlights.map(({ title, link, description, published, source, sourceKey, priority, language, region }) =>
+    ({ title, link, description, published, source, sourceKey, priority, language, region }));
+}
+
+test('processing hides, force-includes, pins and retitles articles', () => {
+  const { start, end } = editorialRange(periodOf('daily', '2026-03-04').first);
+  const bread = { title: 'Sourdough starter tips', link: 'https://example.com/bread', description: '', published: '2026-03-04T10:00:00.000Z', source: 'Example' };
+  const overrides = compileOverrides({
+    hide: [ANTHROPIC],
+    hideDomains: ['itmedia.co.jp'],
+    include: [{ link: bread.link }, { link: 'https://example.org/scoop', title: 'Exclusive scoop', source: 'Example Org', category: 'business' }],
+    pin: [{ link: PIXEL, position: 1 }],
+    headlines: { [APPLE]: 'EU probes the App Store' }
+  });
+
+  const { highlights, byCategory } = processArticles([...goldenArticles(), bread], start, end, null, overrides);
+  const links = highlights.map(s => s.link);
+
+  assert.equal(highlights[0].link, PIXEL);
+  assert.equal(highlights[0].pinned, 1);
+  assert.ok(links[1].startsWith(NVIDIA));
+  assert.ok(!links.includes(ANTHROPIC));
+  assert.ok(!links.some(link => link.includes('itmedia.co.jp')));
+
+  assert.ok(highlights.find(s => s.link === bread.link).included);
+  const scoop = highlights.find(s => s.link === 'https://example.org/scoop');
+  assert.equal(scoop.category, 'business');
+  assert.ok(byCategory.business.includes(scoop));
+
+  const apple = highlights.find(s => s.link === APPLE);
+  assert.equal(apple.title, 'EU probes the App Store');
+  assert.match(apple.originalTitle, /antitrust probe/);
+});
+
+test('"*" pins and includes only force in articles from the digest\'s own period', () => {
+  // A backfill loads weeks of articles at once; a daily run only loads its day
+  const earlier = { title: 'Chip export rules tightened', link: 'https://example.com/export-rules', description: '', published: '2026-02-20T10:00:00.000Z', source: 'Example' };
+  const backfill = [...goldenArticles(), earlier];
+  const shared = { include: [{ link: earlier.link, title: earlier.title }], pin: [{ link: earlier.link, position: 1 }] };
+
+  for (const [type, id] of [['daily', '2026-03-04'], ['weekly', '2026-W10'], ['monthly', '2026-03']]) {
+    const { first, last } = periodOf(type, id);
+    const { start, end } = editorialRange(first, last);
+    const rules = overridesFor(id, { digests: { '*': shared } });
+    for (const articles of [backfill, goldenArticles()]) {
+      const { highlights } = processArticles(articles, start, end, null, rules);
+      assert.ok(!highlights.some(s => s.link === earlier.link), `${type} ${id}`);
+    }
+    assert.ok(!applyOverrides(goldenDigest(), rules).highlights.some(s => s.link === earlier.link));
+  }
+
+  // In its own period the "*" pin applies as usual
+  const { start, end } = editorialRange(periodOf('monthly', '2026-02').first, periodOf('monthly', '2026-02').last);
+  const { highlights } = processArticles(backfill, start, end, null, overridesFor('2026-02', { digests: { '*': shared } }));
+  assert.equal(highlights[0].link, earlier.link);
+  assert.equal(highlights[0].pinned, 1);
+
+  // Keyed to a digest ID, it's forced in from any loaded day, or built from its title
+  const { start: dayStart, end: dayEnd } = editorialRange(periodOf('daily', '2026-03-04').first);
+  const rules = overridesFor('2026-03-04', { digests: { '2026-03-04': shared } });
+  for (const articles of [backfill, goldenArticles()]) {
+    assert.equal(processArticles(articles, dayStart, dayEnd, null, rules).highlights[0].link, earlier.link);
+  }
+  assert.equal(applyOverrides(goldenDigest(), rules).highlights[0].link, earlier.link);
+});
+
+test('processing without overrides matches the saved digest', () => {
+  const { start, end } = editorialRange(periodOf('daily', '2026-03-04').first);
+  const { highlights } = processArticles(goldenArticles(), start, end, null, NO_OVERRIDES);
+  assert.deepEqual(highlights.map(s => s.link), goldenDigest().highlights.map(s => s.link));
+});
+
+test('saved digests are re-arranged and removed overrides undone', () => {
+  const digest = goldenDigest();
+  assert.equal(applyOverrides(digest, NO_OVERRIDES), digest);
+
+  const overridden = applyOverrides(digest, compileOverrides(
+    { hideDomains: ['arstechnica.com'] },
+    { pin: [{ link: PIXEL, position: 2 }], headlines: { [NVIDIA]: 'Nvidia chips for Tesla robotaxis' } }
+  ));
+  assert.equal(overridden.highlights[1].link, PIXEL);
+  assert.equal(overridden.highlights[0].title, 'Nvidia chips for Tesla robotaxis');
+  assert.equal(overridden.totalArticles, digest.totalArticles - 1);
+  assert.equal(overridden.byCategory.crypto, undefined);
+  assert.deepEqual(digest, goldenDigest());
+
+  const restored = applyOverrides(overridden, NO_OVERRIDES);
+  assert.deepEqual(restored.highlights.map(s => s.title), digest.highlights.filter(s => !s.link.includes('arstechnica.com')).map(s => s.title));
+  assert.ok(restored.highlights.every(s => !s.pinned && !s.originalTitle));
+});
+
+test('pinned stories keep their position when the rest are re-ranked', () => {
+  const stories = [{ link: 'a' }, { link: 'b' }, { link: 'c', pinned: 1 }, { link: 'd', pinned: 9 }];
+  assert.deepEqual(rankStories(stories).map(s => s.link), ['c', 'a', 'b', 'd']);
+});
+
+test('config errors name the digest and field', () => {
+  const { errors } = validateOverridesConfig({
+    digests: {
+      '2026-W60': {},
+      '2026-03-04': { pin: [{ link: PIXEL, position: 1 }, { link: APPLE, position: 1 }] }
+    }
+  }, { categories: {} });
+  assert.deepEqual(errors, [
+    'digests.2026-W60: not a digest ID (2026-03-05, 2026-W10 or 2026-03) or "*"',
+    `digests.2026-03-04.pin: ${APPLE} and ${PIXEL} are both pinned to #1`
+  ]);
+});
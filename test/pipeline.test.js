@@ -0,0 +1,75 @@
+/**
+ * Pipeline Test
+ * Runs a backfill scrape (fetchAllFeeds → processArticles → saveDigest →
+ * updateIndex) and the site build against the recorded feeds in
+ * fixtures/feeds/, served by a local stand-in server at a frozen time, and
+ * compares the digests and rendered pages with golden/.
+ *
+ * Update the golden files after an intended change with `npm run test:update`
+ * and review them with git diff.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startFeedServer } = require('./support/feed-server');
+const { createWorkspace, removeWorkspace, runScript } = require('./support/workspace');
+const { checkGolden } = require('./support/golden');
+
+const FEEDS_DIR = path.join(__dirname, 'fixtures', 'feeds');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+// 07:30 in Amsterdam on a Wednesday, when the scheduled run builds the day's digest
+const FROZEN_TIME = '2026-03-04T06:30:00.000Z';
+
+// Digests and indexes; the article store, caches and health log are working state
+const DATA_FILES = file => /^(profiles\/[^/]+\/)?((daily|weekly|monthly)\/[^/]+|index)\.json$/.test(file);
+const PAGE_FILES = file => ['index.html', 'sitemap.xml'].includes(file) ||
+  /^(daily|weekly|monthly|category)\/[^/]+\.html$/.test(file) || /^cards\/(daily|weekly|monthly)\/[^/]+\.svg$/.test(file);
+
+let server;
+let workspace;
+
+before(async () => {
+  server = await startFeedServer(FEEDS_DIR);
+  workspace = createWorkspace(FEEDS_DIR, server.url);
+  await runScript(workspace, 'scraper/index.js', ['--backfill', '--weeks', '1', '--no-notify'], FROZEN_TIME);
+  await runScript(workspace, 'build/generate.js', [], FROZEN_TIME);
+});
+
+after(async () => {
+  await server?.close();
+  if (workspace) removeWorkspace(workspace);
+});
+
+test('every recorded feed is fetched and parsed', () => {
+  const health = JSON.parse(fs.readFileSync(path.join(workspace, 'data', 'health.json'), 'utf-8'));
+  for (const file of fs.readdirSync(FEEDS_DIR)) {
+    const key = path.basename(file, '.xml');
+    assert.ok(server.requests.includes(file), `${file} was never requested`);
+    const run = health.sources[key]?.lastRun;
+    assert.equal(run?.status, 'ok', `${key}: ${run?.error || 'not fetched'}`);
+    assert.ok(run.itemCount > 0, `${key}: no items parsed`);
+  }
+});
+
+test('digests match the golden files', () => {
+  const problems = checkGolden(path.join(workspace, 'data'), path.join(GOLDEN_DIR, 'data'), DATA_FILES);
+  assert.deepEqual(problems, [], 'Run "npm run test:update" if the change is intended, then review it with git diff');
+});
+
+test('rendered pages match the golden files', () => {
+  const problems = checkGolden(path.join(workspace, 'public'), path.join(GOLDEN_DIR, 'public'), PAGE_FILES);
+  assert.deepEqual(problems, [], 'Run "npm run test:update" if the change is intended, then review it with git diff');
+});
+
+test('every digest page has a rendered share card', () => {
+  for (const type of ['daily', 'weekly', 'monthly']) {
+    for (const page of fs.readdirSync(path.join(workspace, 'public', type))) {
+      const png = fs.readFileSync(path.join(workspace, 'public', 'cards', type, page.replace(/\.html$/, '.png')));
+      assert.equal(png.toString('latin1', 1, 4), 'PNG', `${type}/${page}: card is not a PNG`);
+      assert.deepEqual([png.readUInt32BE(16), png.readUInt32BE(20)], [1200, 630], `${type}/${page}: card is not 1200×630`);
+    }
+  }
+});
@@ -0,0 +1,60 @@
+/**
+ * Query Test
+ * Runs archive queries over the golden daily digests from the pipeline test.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseDigest } = require('../scraper/data-format');
+const { parseArgs, collectStories, filterStories, countStories, formatRows } = require('../scraper/query');
+
+const DAILY_DIR = path.join(__dirname, 'golden', 'data', 'daily');
+
+function goldenStories() {
+  const digests = fs.readdirSync(DAILY_DIR).map(name => {
+    const file = path.join(DAILY_DIR, name);
+    return parseDigest(fs.readFileSync(file, 'utf-8'), file);
+  });
+  return collectStories(digests);
+}
+
+function query(...args) {
+  return filterStories(goldenStories(), parseArgs(args));
+}
+
+test('lists each story once, newest digest first', () => {
+  const stories = goldenStories();
+  assert.equal(new Set(stories.map(s => s.link)).size, stories.length);
+  assert.deepEqual(stories.map(s => s.date), [...stories.map(s => s.date)].sort().reverse());
+});
+
+test('filters by company, category, source, period and score', () => {
+  assert.deepEqual(query('--company', 'nvidia', '--period', '2026-03-04').map(s => s.sources.length).sort(), [1, 3]);
+  assert.ok(query('--category', 'ev_autonomous').every(s => s.categories.includes('ev_autonomous')));
+  assert.ok(query('--source', 'heise').every(s => s.sources.includes('heise')));
+  assert.ok(query('--period', '2026-02').every(s => s.date.startsWith('2026-02')));
+  assert.ok(query('--min-score', '10').every(s => s.score >= 10));
+  assert.equal(query('--company', 'nvidia', '--source', 'itmedia').length, 0);
+});
+
+test('matches translated keywords in other languages', () => {
+  const german = query('--keyword', 'data center', '--language', 'de');
+  assert.equal(german.length, 1);
+  assert.match(german[0].title, /Rechenzentrum/);
+});
+
+test('counts a story once per covering source', () => {
+  const stories = query('--period', '2026-03-04');
+  const rows = countStories(stories, ['source']);
+  const total = rows.reduce((sum, row) => sum + row.stories, 0);
+  assert.equal(total, stories.reduce((sum, s) => sum + s.sources.length, 0));
+  assert.deepEqual(rows.map(row => row.source), [...rows.map(row => row.source)].sort((a, b) => a.localeCompare(b)));
+});
+
+test('formats csv with quoting and markdown with links', () => {
+  const rows = [{ date: '2026-03-04', title: 'Nvidia, Tesla and "robotaxis"', link: 'https://example.com/a', categories: ['ai', 'space'] }];
+  assert.equal(formatRows(rows, ['date', 'title'], 'csv'), 'date,title,link,categories\n2026-03-04,"Nvidia, Tesla and ""robotaxis""",https://example.com/a,ai;space');
+  assert.match(formatRows(rows, ['date', 'title'], 'markdown'), /\| 2026-03-04 \| \[Nvidia, Tesla and "robotaxis"\]\(https:\/\/example\.com\/a\) \|/);
+});
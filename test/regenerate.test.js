@@ -0,0 +1,108 @@
+/**
+ * Regeneration Test
+ * The story-level JSON diff that `regenerate --dry-run` prints under its
+ * summary, and regenerating profile digests from saved digests alone.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { diffDigestJSON } = require('../scraper/regenerate');
+const { createWorkspace, removeWorkspace, runScript } = require('./support/workspace');
+
+const FEEDS_DIR = path.join(__dirname, 'fixtures', 'feeds');
+const GOLDEN_DATA_DIR = path.join(__dirname, 'golden', 'data');
+const FROZEN_TIME = '2026-03-04T06:30:00.000Z';
+
+let workspace;
+
+before(() => {
+  // The golden data has saved digests but no article store, so regeneration
+  // can only rebuild the digests from their own stories
+  workspace = createWorkspace(FEEDS_DIR, 'http://127.0.0.1:9');
+  fs.cpSync(GOLDEN_DATA_DIR, path.join(workspace, 'data'), { recursive: true });
+});
+
+after(() => {
+  if (workspace) removeWorkspace(workspace);
+});
+
+function readDigest(...parts) {
+  return JSON.parse(fs.readFileSync(path.join(workspace, 'data', ...parts), 'utf-8'));
+}
+
+function story(link, fields = {}) {
+  return { title: `Story at ${link}`, link, source: 'TechCrunch', relevanceScore: 5, category: 'ai', ...fields };
+}
+
+test('lists added and removed stories by link and the fields that changed', () => {
+  const kept = story('https://example.com/kept');
+  const before = {
+    id: '2026-03-04',
+    dateRange: 'March 4, 2026',
+    generatedAt: '2026-03-04T06:30:00.000Z',
+    highlights: [kept, story('https://example.com/dropped')],
+    byCategory: { ai: [kept] }
+  };
+  const after = {
+    id: '2026-03-04',
+    dateRange: 'March 4, 2026',
+    generatedAt: '2026-03-05T06:30:00.000Z',
+    timezone: 'Europe/Amsterdam',
+    highlights: [{ ...kept, relevanceScore: 7, coverage: 2 }, story('https://example.com/new?utm_source=rss')],
+    byCategory: { ai: [{ ...kept, relevanceScore: 7, coverage: 2 }] }
+  };
+
+  assert.deepEqual(diffDigestJSON(before, after), [
+    'timezone: none → "Europe/Amsterdam"',
+    '+ https://example.com/new?utm_source=rss "Story at https://example.com/new?utm_source=rss"',
+    '- https://example.com/dropped "Story at https://example.com/dropped"',
+    '~ https://example.com/kept',
+    '    coverage: none → 2',
+    '    relevanceScore: 5 → 7'
+  ]);
+});
+
+test('reports nothing for a digest that only differs in its run time', () => {
+  const digest = { id: '2026-03-04', generatedAt: '2026-03-04T06:30:00.000Z', highlights: [story('https://example.com/a')], byCategory: {} };
+  assert.deepEqual(diffDigestJSON(digest, { ...digest, generatedAt: '2026-03-05T06:30:00.000Z' }), []);
+});
+
+test('rebuilds a profile digest from its own saved stories, members and all', async () => {
+  // A two-source story only the AI profile saved. Neither title scores on its
+  // own; the second source only makes the cut with the story's description.
+  const link = 'https://www.theverge.com/2026/3/4/paris-startup-open-weight-model';
+  const memberLink = 'https://techcrunch.com/2026/03/04/paris-startup-new-open-weight-model/';
+  const story = {
+    title: 'Paris startup ships a new open-weight model',
+    link,
+    description: 'The lab says its LLM beats GPT-5 on reasoning benchmarks and was trained on Nvidia GPUs.',
+    published: '2026-03-04T04:00:00.000Z',
+    source: 'The Verge',
+    sourceKey: 'theverge',
+    priority: 2,
+    language: 'en',
+    region: 'us',
+    category: 'ai',
+    relevanceScore: 12,
+    coverage: 2,
+    sources: [
+      { title: 'Paris startup ships a new open-weight model', link, source: 'The Verge', sourceKey: 'theverge', published: '2026-03-04T04:00:00.000Z' },
+      { title: 'Paris startup ships new open-weight model', link: memberLink, source: 'TechCrunch', sourceKey: 'techcrunch', published: '2026-03-04T04:30:00.000Z' }
+    ]
+  };
+  const file = path.join(workspace, 'data', 'profiles', 'ai', 'daily', '2026-03-04.json');
+  const saved = readDigest('profiles', 'ai', 'daily', '2026-03-04.json');
+  saved.highlights.push(story);
+  saved.byCategory.ai.push(story);
+  fs.writeFileSync(file, JSON.stringify(saved, null, 2));
+
+  await runScript(workspace, 'scraper/regenerate.js', ['--day', '2026-03-04', '--force'], FROZEN_TIME);
+
+  const rebuilt = readDigest('profiles', 'ai', 'daily', '2026-03-04.json').highlights.find(s => s.link === link);
+  assert.ok(rebuilt, 'the profile-only story is regenerated');
+  assert.equal(rebuilt.coverage, 2);
+  assert.deepEqual(rebuilt.sources.map(s => s.link).sort(), [memberLink, link].sort());
+  assert.equal(readDigest('daily', '2026-03-04.json').highlights.some(s => s.link === link), false);
+});
@@ -0,0 +1,56 @@
+/**
+ * Article Store Test
+ * Dates, fallbacks and de-duplication in a temporary store directory.
+ */
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { appendArticles, loadArticles } = require('../scraper/store');
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'btn-store-'));
+  mock.method(console, 'log', () => {});
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-02T09:00:00.000Z') });
+});
+
+after(() => {
+  mock.timers.reset();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function shardLines(shard) {
+  const file = path.join(dir, `${shard}.jsonl`);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line)) : [];
+}
+
+test('keeps RFC 822 dates and stores undated articles under their fetch time', async () => {
+  const added = await appendArticles([
+    { title: 'Dated the RSS way', link: 'https://example.com/rfc822', published: 'Sat, 28 Feb 2026 17:30:00 GMT' },
+    { title: 'No date at all', link: 'https://example.com/undated', published: null },
+    { title: 'Unparseable date', link: 'https://example.com/garbage', published: 'yesterday-ish' }
+  ], dir);
+  assert.equal(added, 3);
+
+  assert.deepEqual(shardLines('2026-02').map(a => a.link), ['https://example.com/rfc822']);
+  assert.deepEqual(shardLines('2026-03').map(a => [a.link, a.published]), [
+    ['https://example.com/undated', '2026-03-02T09:00:00.000Z'],
+    ['https://example.com/garbage', '2026-03-02T09:00:00.000Z']
+  ]);
+
+  const loaded = await loadArticles(new Date('2026-03-02T00:00:00.000Z'), new Date('2026-03-02T23:59:59.999Z'), dir);
+  assert.deepEqual(loaded.map(a => a.title), ['No date at all', 'Unparseable date']);
+});
+
+test('an undated article seen again with a date in another month is not stored twice', async () => {
+  const added = await appendArticles([
+    { title: 'No date at all', link: 'https://example.com/undated?utm_source=rss', published: '2026-02-27T12:00:00.000Z' },
+    { title: 'Dated the RSS way', link: 'https://example.com/rfc822', published: 'Sat, 28 Feb 2026 17:30:00 GMT' }
+  ], dir);
+  assert.equal(added, 0);
+  assert.deepEqual(shardLines('2026-02').map(a => a.link), ['https://example.com/rfc822']);
+});
@@ -0,0 +1,74 @@
+/**
+ * Stand-in Feed Server
+ * Serves the recorded feeds in a directory at /<file>, so the fetcher can run
+ * against them over real HTTP without touching the network. Each feed has an
+ * ETag and answers a matching If-None-Match with 304; feeds can also be made
+ * to fail a number of times first (optionally with Retry-After) or to answer
+ * slowly.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+/**
+ * Start serving `dir` on a free local port. Resolves with { url, requests, log, close }:
+ * requests lists the requested file names, log records { name, status, at, headers } per response.
+ *
+ * Options, keyed by file name:
+ *   failures  { count, status = 503, retryAfter } — answer the first `count` requests with `status`
+ *   delays    ms to wait before answering
+ */
+function startFeedServer(dir, { failures = {}, delays = {} } = {}) {
+  const requests = [];
+  const log = [];
+  const failed = {};
+
+  const server = http.createServer((req, res) => {
+    const name = path.basename(decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+    requests.push(name);
+    const reply = (status, headers, body) => {
+      log.push({ name, status, at: Date.now(), headers: req.headers });
+      res.writeHead(status, headers).end(body);
+    };
+
+    setTimeout(() => {
+      const failure = failures[name];
+      if (failure && (failed[name] || 0) < failure.count) {
+        failed[name] = (failed[name] || 0) + 1;
+        reply(failure.status || 503, failure.retryAfter ? { 'Retry-After': String(failure.retryAfter) } : {}, 'Unavailable');
+        return;
+      }
+
+      fs.readFile(path.join(dir, name), (error, body) => {
+        if (error) {
+          reply(404, { 'Content-Type': 'text/plain' }, 'Not found');
+          return;
+        }
+        const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+        if (req.headers['if-none-match'] === etag) reply(304, { ETag: etag });
+        else reply(200, { 'Content-Type': 'application/xml; charset=utf-8', ETag: etag }, body);
+      });
+    }, delays[name] || 0);
+  });
+
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        log,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  startFeedServer
+};
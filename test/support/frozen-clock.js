@@ -0,0 +1,23 @@
+/**
+ * Frozen Clock
+ * Preloaded with `node --require` so a whole run sees the same instant:
+ * `new Date()` and `Date.now()` return FROZEN_TIME, while dates built from
+ * a value behave as usual.
+ */
+
+const FROZEN = Date.parse(process.env.FROZEN_TIME);
+if (Number.isNaN(FROZEN)) throw new Error(`FROZEN_TIME must be an ISO timestamp, got "${process.env.FROZEN_TIME}"`);
+
+const RealDate = Date;
+
+class FrozenDate extends RealDate {
+  constructor(...args) {
+    super(...(args.length > 0 ? args : [FROZEN]));
+  }
+
+  static now() {
+    return FROZEN;
+  }
+}
+
+global.Date = FrozenDate;
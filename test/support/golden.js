@@ -0,0 +1,75 @@
+/**
+ * Golden Files
+ * Compares generated output with the copies checked in under test/golden/.
+ * With UPDATE_GOLDEN=1 the golden copies are replaced instead, so a change to
+ * scoring, clustering or rendering shows up as a reviewable git diff.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * Files under `dir` (relative, with forward slashes) that `include` accepts
+ */
+function listFiles(dir, include, prefix = '') {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(dir, prefix), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return entries.flatMap(entry => {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) return listFiles(dir, include, rel);
+    return include(rel) ? [rel] : [];
+  }).sort();
+}
+
+/**
+ * Check the files `include` selects in `actualDir` against `goldenDir`.
+ * Returns a list of problems, empty when everything matches (or was updated).
+ */
+function checkGolden(actualDir, goldenDir, include) {
+  const actual = listFiles(actualDir, include);
+
+  if (UPDATE) {
+    fs.rmSync(goldenDir, { recursive: true, force: true });
+    for (const file of actual) {
+      fs.mkdirSync(path.dirname(path.join(goldenDir, file)), { recursive: true });
+      fs.copyFileSync(path.join(actualDir, file), path.join(goldenDir, file));
+    }
+    return [];
+  }
+
+  const golden = listFiles(goldenDir, () => true);
+  const problems = [
+    ...golden.filter(file => !actual.includes(file)).map(file => `${file}: no longer generated`),
+    ...actual.filter(file => !golden.includes(file)).map(file => `${file}: new, not in the golden files`)
+  ];
+  for (const file of actual.filter(f => golden.includes(f))) {
+    const got = fs.readFileSync(path.join(actualDir, file), 'utf-8');
+    const want = fs.readFileSync(path.join(goldenDir, file), 'utf-8');
+    if (got !== want) problems.push(`${file}: differs${firstDifference(want, got)}`);
+  }
+  return problems;
+}
+
+/**
+ * Where two texts first differ, as " at line N" with both versions of the line
+ */
+function firstDifference(want, got) {
+  const wantLines = want.split('\n');
+  const gotLines = got.split('\n');
+  const line = wantLines.findIndex((text, i) => text !== gotLines[i]);
+  const i = line === -1 ? wantLines.length : line;
+  return ` at line ${i + 1}\n      golden: ${(wantLines[i] ?? '<end of file>').trim()}\n      actual: ${(gotLines[i] ?? '<end of file>').trim()}`;
+}
+
+module.exports = {
+  UPDATE,
+  listFiles,
+  checkGolden
+};
@@ -0,0 +1,90 @@
+/**
+ * Stand-in SMTP Server
+ * Just enough SMTP (no TLS, no auth) to accept messages over a real socket
+ * and record them, refusing the recipients it's told to refuse.
+ */
+
+const net = require('net');
+
+/**
+ * Start listening on a free local port. Resolves with { port, messages, close },
+ * where messages collects { from, to, data } for each accepted message.
+ */
+function startSmtpServer({ reject = [] } = {}) {
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setEncoding('utf-8');
+
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            messages.push({ ...envelope, data: data.join('\r\n') });
+            envelope = { from: null, to: [] };
+            data = null;
+            reply('250 Queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        const address = (line.match(/<([^>]*)>/) || [])[1];
+        if (command === 'EHLO' || command === 'HELO') reply('250 localhost');
+        else if (command === 'MAIL') {
+          envelope = { from: address, to: [] };
+          reply('250 OK');
+        } else if (command === 'RCPT') {
+          if (reject.includes(address)) reply(`550 No such user ${address}`);
+          else {
+            envelope.to.push(address);
+            reply('250 OK');
+          }
+        } else if (command === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (command === 'RSET') {
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+        } else if (command === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else reply('250 OK');
+      }
+    });
+    reply('220 localhost stand-in SMTP');
+  });
+
+  return new Promise((resolve, rejectStart) => {
+    server.on('error', rejectStart);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise(done => {
+          for (const socket of sockets) socket.destroy();
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+module.exports = {
+  startSmtpServer
+};
@@ -0,0 +1,78 @@
+/**
+ * Test Workspace
+ * A throwaway copy of the scraper, build and config in a temp directory, with
+ * every source that has a recorded feed pointed at the stand-in server and
+ * the rest disabled. Scripts run there with a frozen clock, so data/ and
+ * public/ in the repo are never touched and every run produces the same output.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const CODE_DIRS = ['scraper', 'build', 'config'];
+const FROZEN_CLOCK = path.join(__dirname, 'frozen-clock.js');
+
+// Per script run; the fetcher's own budget is far below this
+const RUN_TIMEOUT_MS = 120000;
+
+/**
+ * Copy the code into a temp directory and point the sources with a fixture in
+ * `feedsDir` at `feedUrl`. Returns the workspace path.
+ */
+function createWorkspace(feedsDir, feedUrl) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bigtechnews-test-'));
+  for (const name of CODE_DIRS) {
+    fs.cpSync(path.join(ROOT_DIR, name), path.join(dir, name), { recursive: true });
+  }
+  fs.symlinkSync(path.join(ROOT_DIR, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+
+  const sourcesFile = path.join(dir, 'config', 'sources.json');
+  const config = JSON.parse(fs.readFileSync(sourcesFile, 'utf-8'));
+  const fixtures = new Set(fs.readdirSync(feedsDir));
+  for (const [key, source] of Object.entries(config.sources)) {
+    if (fixtures.has(`${key}.xml`)) {
+      source.rss = `${feedUrl}/${key}.xml`;
+      source.enabled = true;
+    } else {
+      source.enabled = false;
+    }
+  }
+  fs.writeFileSync(sourcesFile, JSON.stringify(config, null, 2));
+  return dir;
+}
+
+function removeWorkspace(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Run a script in the workspace at `frozenTime`, with any extra environment
+ * variables. Rejects with its output if it fails.
+ */
+function runScript(dir, script, args, frozenTime, extraEnv = {}) {
+  const env = {
+    PATH: process.env.PATH,
+    TZ: 'UTC',
+    FROZEN_TIME: frozenTime,
+    ...extraEnv
+  };
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['--require', FROZEN_CLOCK, script, ...args], { cwd: dir, env, timeout: RUN_TIMEOUT_MS }, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `${script} ${args.join(' ')} failed: ${error.message}\n${stdout}${stderr}`;
+        reject(error);
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+module.exports = {
+  createWorkspace,
+  removeWorkspace,
+  runScript
+};